@@ -12,14 +12,51 @@ const productRoutes = require('./src/routes/productRoutes');
 const categoryRoutes = require('./src/routes/categoryRoutes');
 const authRoutes = require('./src/routes/authRoutes');
 const reviewRoutes = require('./src/routes/reviewRoutes');
+const cartRoutes = require('./src/routes/cartRoutes');
+const orderRoutes = require('./src/routes/orderRoutes');
+const wishlistRoutes = require('./src/routes/wishlistRoutes');
+const couponRoutes = require('./src/routes/couponRoutes');
+const searchRoutes = require('./src/routes/searchRoutes');
+const userRoutes = require('./src/routes/userRoutes');
+const roleRoutes = require('./src/routes/roleRoutes');
+const questionRoutes = require('./src/routes/questionRoutes');
 
 // Import middleware
+const requestId = require('./src/middleware/requestId');
 const errorHandler = require('./src/middleware/errorHandler');
+const { NotFoundError } = require('./src/utils/errors');
+const { startOutboxWorker } = require('./src/utils/email');
+const { getTransport } = require('./src/utils/emailTransports');
+const { getApiUrl } = require('./src/utils/links');
+const { startSalePriceWorker } = require('./src/utils/pricing');
+const Role = require('./src/models/Role');
+const Category = require('./src/models/Category');
+const Product = require('./src/models/Product');
+const Review = require('./src/models/Review');
+
+// Fail at startup rather than on the first email when there is no
+// usable email transport (e.g. no SMTP settings in production), or no
+// public URL to put in the links sent to users
+getTransport();
+getApiUrl();
 
 const app = express();
 
+// Parse nested query strings such as ?price[lt]=1000
+app.set('query parser', 'extended');
+
+// Behind a reverse proxy, use the client IP it forwards (for per-IP lockouts)
+if (process.env.TRUST_PROXY) {
+  // "true", a number of proxy hops, or a list of proxy addresses
+  let trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy === 'true') trustProxy = true;
+  else if (/^\d+$/.test(trustProxy)) trustProxy = Number(trustProxy);
+  app.set('trust proxy', trustProxy);
+}
+
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
@@ -32,18 +69,48 @@ app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/questions', questionRoutes);
 
 // Home route
 app.get('/', (req, res) => {
   res.json({ message: 'E-commerce Product API' });
 });
 
+// Unknown routes
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, { code: 'ROUTE_NOT_FOUND' }));
+});
+
 // Error handling middleware
 app.use(errorHandler);
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ecommerce')
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Create the built-in roles on first run
+    Role.ensureDefaults().catch(err => console.error('Role setup error:', err));
+    // Store category paths missing from categories created before them
+    Category.backfillPaths().catch(err => console.error('Category path backfill error:', err));
+    // Swap the old unweighted search index for the weighted one
+    Product.replaceTextIndex().catch(err => console.error('Product text index error:', err));
+    // Give products and categories saved before slugs existed a slug
+    Product.backfillSlugs().catch(err => console.error('Product slug backfill error:', err));
+    Category.backfillSlugs().catch(err => console.error('Category slug backfill error:', err));
+    // Store the weighted rating score of products rated before it existed
+    Review.backfillRatingScores().catch(err => console.error('Rating score backfill error:', err));
+    // Retry emails that couldn't be sent
+    startOutboxWorker();
+    // Keep stored prices current as sales start and end
+    startSalePriceWorker();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 5000;
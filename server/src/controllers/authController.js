@@ -1,33 +1,98 @@
 const User = require('../models/User');
+const Cart = require('../models/Cart');
+const RefreshToken = require('../models/RefreshToken');
+const Lockout = require('../models/Lockout');
+const { queueEmail } = require('../utils/email');
+const { appLink } = require('../utils/links');
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const {
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  RateLimitError
+} = require('../utils/errors');
+
+// Minutes a password reset link stays valid
+const RESET_TOKEN_MINUTES = 10;
+
+// Seconds to wait before another verification email can be requested
+const VERIFICATION_COOLDOWN = parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN, 10) || 60;
+
+// Compared against when there is no such user, so a login for an unknown
+// email takes as long as one with a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Error for a locked out email address or IP
+const tooManyAttempts = (lockedUntil) => {
+  const seconds = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+  
+  return new RateLimitError(`Too many attempts. Please try again in ${Math.ceil(seconds / 60)} minutes`, {
+    retryAfter: seconds
+  });
+};
+
+// Queue a notification email without failing the request if that fails
+const notify = (user, template, data = {}) =>
+  queueEmail(user.email, template, { name: user.name, ...data })
+    .catch(error => console.error(`Failed to queue ${template} email:`, error.message));
+
+// Email a verification link for the user's current email address
+const sendVerificationEmail = async (user) => {
+  const token = user.generateEmailVerificationToken();
+  
+  const verifyUrl = appLink(`/verify-email/${token}`, `/api/auth/verify-email/${token}`);
+  
+  await User.updateOne({ _id: user._id }, { emailVerificationSentAt: new Date() });
+  
+  await queueEmail(user.email, 'verifyEmail', {
+    name: user.name,
+    verifyUrl
+  }, { sensitive: true });
+};
+
+// Start a new session (device login) for the user and send its
+// access and refresh tokens along with any extra response fields
+const sendTokenResponse = async (user, statusCode, req, res, extra = {}) => {
+  const { token: refreshToken, family } = await RefreshToken.issue(user._id, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  res.status(statusCode).json({
+    success: true,
+    token: user.generateAuthToken(family),
+    refreshToken,
+    ...extra
+  });
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
     
-    // Create user
+    // Public registration always creates a regular user
     const user = await User.create({
       name,
       email,
       password,
-      role: role || 'user'
+      role: 'user'
     });
     
-    // Create token
-    const token = user.generateAuthToken();
+    await sendVerificationEmail(user)
+      .catch(error => console.error('Failed to queue verification email:', error.message));
     
-    res.status(201).json({
-      success: true,
-      token,
+    await sendTokenResponse(user, 201, req, res, {
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -44,43 +109,58 @@ exports.login = async (req, res, next) => {
     
     // Validate email & password
     if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide email and password'
-      });
+      return next(new BadRequestError('Please provide email and password'));
     }
     
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    const account = String(email).toLowerCase().trim();
     
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
+    const lockedUntil = await Lockout.findActiveLock([
+      ['login:account', account],
+      ['login:ip', req.ip]
+    ]);
+    
+    if (lockedUntil) {
+      return next(tooManyAttempts(lockedUntil));
     }
     
+    // Check for user
+    const user = await User.findOne({ email: account }).select('+password');
+    
     // Check if password matches
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH) && false;
     
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials'
-      });
+      await Promise.all([
+        Lockout.recordAttempt('login:account', account),
+        Lockout.recordAttempt('login:ip', req.ip)
+      ]);
+      
+      return next(new AuthenticationError('Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
     }
     
-    // Create token
-    const token = user.generateAuthToken();
+    // Only the account counter is reset: a known password must not clear
+    // the counter of an IP that is guessing others, which expires by itself
+    await Lockout.clearAttempts('login:account', account);
     
-    res.status(200).json({
-      success: true,
-      token,
+    if (!user.isActive) {
+      return next(new ForbiddenError('This account has been deactivated', { code: 'ACCOUNT_DEACTIVATED' }));
+    }
+    
+    // Merge guest cart into the user's cart
+    const cartToken = req.headers['x-cart-token'] || req.body.cartToken;
+    if (cartToken) {
+      await Cart.mergeGuestCart(cartToken, user._id);
+    }
+    
+    await sendTokenResponse(user, 200, req, res, {
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -119,6 +199,14 @@ exports.updateDetails = async (req, res, next) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
     
+    // A new email address has to be verified again
+    const emailChanged = fieldsToUpdate.email !== undefined &&
+      String(fieldsToUpdate.email).toLowerCase() !== req.user.email;
+    
+    if (emailChanged) {
+      fieldsToUpdate.isEmailVerified = false;
+    }
+    
     const user = await User.findByIdAndUpdate(
       req.user.id,
       fieldsToUpdate,
@@ -128,6 +216,13 @@ exports.updateDetails = async (req, res, next) => {
       }
     );
     
+    // The change is saved, so don't fail it if the email can't be queued
+    // (the user can ask for it again)
+    if (emailChanged) {
+      await sendVerificationEmail(user)
+        .catch(error => console.error('Failed to queue verification email:', error.message));
+    }
+    
     res.status(200).json({
       success: true,
       data: user
@@ -148,21 +243,17 @@ exports.updatePassword = async (req, res, next) => {
     const isMatch = await user.comparePassword(req.body.currentPassword);
     
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        error: 'Current password is incorrect'
-      });
+      return next(new AuthenticationError('Current password is incorrect'));
     }
     
     user.password = req.body.newPassword;
     await user.save();
     
-    // Create new token
-    const token = user.generateAuthToken();
+    // Log out every session and start a new one for this device
+    await RefreshToken.revokeAllForUser(user._id);
+    await notify(user, 'passwordChanged');
     
-    res.status(200).json({
-      success: true,
-      token,
+    await sendTokenResponse(user, 200, req, res, {
       message: 'Password updated successfully'
     });
   } catch (error) {
@@ -170,44 +261,117 @@ exports.updatePassword = async (req, res, next) => {
   }
 };
 
-// @desc    Forgot password
-// @route   POST /api/auth/forgotpassword
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
 // @access  Public
-exports.forgotPassword = async (req, res, next) => {
+exports.verifyEmail = async (req, res, next) => {
   try {
-    const user = await User.findOne({ email: req.body.email });
+    let decoded;
+    
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    
+    const user = decoded && decoded.purpose === 'verify-email'
+      ? await User.findOne({ _id: decoded.id, email: decoded.email })
+      : null;
     
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'No user found with that email'
-      });
+      return next(new BadRequestError('Invalid or expired verification link'));
     }
     
-    // Generate reset token (for demo, in production use email service)
-    const resetToken = crypto.randomBytes(20).toString('hex');
+    if (!user.isEmailVerified) {
+      await User.updateOne({ _id: user._id }, { isEmailVerified: true });
+      await notify(user, 'welcome');
+    }
     
-    // Hash token and set to resetPasswordToken field (add this field to User model)
-    user.resetPasswordToken = crypto
-      .createHash('sha256')
-      .update(resetToken)
-      .digest('hex');
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return next(new BadRequestError('Email is already verified'));
+    }
     
-    // Set expire (10 minutes)
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+    const { emailVerificationSentAt: sentAt } = await User.findById(req.user.id)
+      .select('emailVerificationSentAt');
+    const waitSeconds = sentAt
+      ? Math.ceil((sentAt.getTime() + VERIFICATION_COOLDOWN * 1000 - Date.now()) / 1000)
+      : 0;
     
-    await user.save({ validateBeforeSave: false });
+    if (waitSeconds > 0) {
+      return next(new RateLimitError(`Please wait ${waitSeconds} seconds before requesting another verification email`, {
+        retryAfter: waitSeconds
+      }));
+    }
     
-    // Create reset URL (in production, send email)
-    const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
+    await sendVerificationEmail(req.user);
     
-    // TODO: Send email with reset URL
-    console.log('Reset URL:', resetUrl); // For development
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Forgot password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const email = String(req.body?.email || '').toLowerCase().trim();
+    
+    if (!email) {
+      return next(new BadRequestError('Please provide an email'));
+    }
+    
+    const ipLockedUntil = await Lockout.findActiveLock([['reset:ip', req.ip]]);
+    
+    if (ipLockedUntil) {
+      return next(tooManyAttempts(ipLockedUntil));
+    }
+    
+    await Lockout.recordAttempt('reset:ip', req.ip);
+    
+    // The response is the same whether or not the account exists (or has
+    // had too many reset emails), so it can't be used to find accounts
+    const accountLocked = await Lockout.findActiveLock([['reset:account', email]]);
+    const user = accountLocked ? null : await User.findOne({ email, isActive: true });
+    
+    if (user) {
+      await Lockout.recordAttempt('reset:account', email);
+      
+      // The token itself is only ever sent by email
+      const resetToken = user.createPasswordResetToken(RESET_TOKEN_MINUTES);
+      await user.save({ validateBeforeSave: false });
+      
+      // Answer the same way if the email can't be queued, as an error would
+      // show the account exists. The unsent token just expires.
+      await queueEmail(user.email, 'passwordReset', {
+        name: user.name,
+        resetUrl: appLink(`/reset-password/${resetToken}`, `/api/auth/resetpassword/${resetToken}`),
+        expiresInMinutes: RESET_TOKEN_MINUTES
+      }, { sensitive: true })
+        .catch(error => console.error('Failed to queue password reset email:', error.message));
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Password reset email sent',
-      resetToken // Only for development
+      message: 'If an account exists for that email, a password reset link has been sent'
     });
   } catch (error) {
     next(error);
@@ -225,16 +389,18 @@ exports.resetPassword = async (req, res, next) => {
       .update(req.params.resettoken)
       .digest('hex');
     
+    // Select the token fields so clearing them below is saved
     const user = await User.findOne({
       resetPasswordToken,
       resetPasswordExpire: { $gt: Date.now() }
-    });
+    }).select('+resetPasswordToken +resetPasswordExpire');
     
     if (!user) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
+      return next(new BadRequestError('Invalid or expired token'));
+    }
+    
+    if (!user.isActive) {
+      return next(new ForbiddenError('This account has been deactivated', { code: 'ACCOUNT_DEACTIVATED' }));
     }
     
     // Set new password
@@ -243,26 +409,62 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
     
-    // Create token
-    const token = user.generateAuthToken();
+    // Whoever knew the old password is logged out everywhere
+    await RefreshToken.revokeAllForUser(user._id);
+    await notify(user, 'passwordChanged');
+    
+    await sendTokenResponse(user, 200, req, res, {
+      message: 'Password reset successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const refreshToken = req.body?.refreshToken;
+    
+    if (!refreshToken) {
+      return next(new BadRequestError('Please provide a refresh token'));
+    }
+    
+    const result = await RefreshToken.rotate(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    
+    if (result.error) {
+      return next(new AuthenticationError(result.error));
+    }
+    
+    const user = await User.findById(result.user);
+    
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(result.family);
+      return next(new AuthenticationError('Invalid or expired refresh token'));
+    }
     
     res.status(200).json({
       success: true,
-      token,
-      message: 'Password reset successful'
+      token: user.generateAuthToken(result.family),
+      refreshToken: result.token
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Logout user / Clear token (client-side)
-// @route   GET /api/auth/logout
+// @desc    Log out this device
+// @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
   try {
-    // Note: JWT is stateless, so we can't invalidate it on server-side
-    // In production, consider using token blacklist or refresh tokens
+    await RefreshToken.revokeFamily(req.sessionId);
+    
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -270,4 +472,20 @@ exports.logout = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+// @desc    Log out all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
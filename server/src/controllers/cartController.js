@@ -0,0 +1,317 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { roundPrice } = require('../utils/pricing');
+const crypto = require('crypto');
+const { BadRequestError, NotFoundError, createError } = require('../utils/errors');
+
+// Guest carts live for 30 days after their last change
+const GUEST_CART_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Get the cart token sent by a guest client
+const getCartToken = (req) => req.headers['x-cart-token'] || req.body?.cartToken;
+
+// Find the cart for the current user or guest token, optionally creating it
+const findCart = async (req, create = false) => {
+  let cart;
+
+  if (req.user) {
+    cart = create
+      ? await Cart.findOrCreateForUser(req.user._id)
+      : await Cart.findOne({ user: req.user._id });
+  } else {
+    const token = getCartToken(req);
+    if (token) {
+      cart = await Cart.findOne({ token });
+    }
+    if (!cart && create) {
+      cart = new Cart({
+        token: crypto.randomBytes(24).toString('hex'),
+        items: []
+      });
+    }
+  }
+
+  if (cart && cart.token) {
+    cart.expiresAt = Date.now() + GUEST_CART_TTL;
+  }
+
+  return cart;
+};
+
+// Price every line from the current product data and build the totals
+const buildCartResponse = async (cart) => {
+  if (!cart) {
+    return {
+      items: [],
+      totals: { itemCount: 0, quantity: 0, subtotal: 0, discount: 0, total: 0 }
+    };
+  }
+
+  const products = await Product.find({
+    _id: { $in: cart.items.map(item => item.product) }
+  }).select('name price discount images stock isActive variants');
+
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const totals = { itemCount: 0, quantity: 0, subtotal: 0, discount: 0, total: 0 };
+
+  const items = cart.items.map(item => {
+    const product = productMap.get(item.product.toString());
+
+    if (!product || !product.isActive) {
+      return {
+        product: item.product,
+        quantity: item.quantity,
+        available: false,
+        message: 'Product is no longer available'
+      };
+    }
+
+    // Lines for products with variants must point at an active variant
+    const variant = product.findVariant(item.variant);
+
+    if (item.variant ? !variant : product.variants.length > 0) {
+      return {
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        available: false,
+        message: 'Product option is no longer available'
+      };
+    }
+
+    const source = variant || product;
+    const price = variant && variant.price != null ? variant.price : product.price;
+    const images = variant && variant.images.length > 0 ? variant.images : product.images;
+    const unitPrice = roundPrice(source.finalPrice);
+    const line = {
+      product: {
+        _id: product._id,
+        name: product.name,
+        image: images.length > 0 ? images[0] : null,
+        stock: source.stock
+      },
+      variant: variant
+        ? { _id: variant._id, sku: variant.sku, options: variant.options }
+        : undefined,
+      quantity: item.quantity,
+      price,
+      unitPrice,
+      lineTotal: roundPrice(unitPrice * item.quantity),
+      available: source.stock >= item.quantity
+    };
+
+    if (!line.available) {
+      line.message = source.stock > 0
+        ? `Only ${source.stock} items in stock`
+        : 'Out of stock';
+      return line;
+    }
+
+    totals.itemCount += 1;
+    totals.quantity += item.quantity;
+    totals.subtotal += price * item.quantity;
+    totals.total += line.lineTotal;
+
+    return line;
+  });
+
+  totals.subtotal = roundPrice(totals.subtotal);
+  totals.total = roundPrice(totals.total);
+  totals.discount = roundPrice(totals.subtotal - totals.total);
+
+  return { items, totals };
+};
+
+const sendCart = async (res, cart, statusCode = 200) => {
+  const body = {
+    success: true,
+    data: await buildCartResponse(cart)
+  };
+
+  if (cart && cart.token) {
+    body.cartToken = cart.token;
+  }
+
+  res.status(statusCode).json(body);
+};
+
+// Check a product (and variant) can be added to the cart in the given quantity
+const checkAvailability = async (productId, variantId, quantity) => {
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isActive) {
+    return { status: 404, error: 'Product not found' };
+  }
+
+  if (product.variants.length > 0 && !variantId) {
+    return { status: 400, error: 'Please choose a product variant' };
+  }
+
+  const variant = product.findVariant(variantId);
+
+  if (variantId && !variant) {
+    return { status: 404, error: 'Variant not found' };
+  }
+
+  const { stock } = variant || product;
+
+  if (stock < quantity) {
+    return {
+      status: 400,
+      error: stock > 0
+        ? `Only ${stock} items in stock`
+        : 'Product is out of stock'
+    };
+  }
+
+  return { product };
+};
+
+// @desc    Get current cart
+// @route   GET /api/cart
+// @access  Public (guest cart token or logged in user)
+exports.getCart = async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+
+    await sendCart(res, cart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Public (guest cart token or logged in user)
+exports.addItem = async (req, res, next) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+      return next(new BadRequestError('Please provide a productId and a quantity of at least 1'));
+    }
+
+    const cart = await findCart(req, true);
+    const existing = cart.findItem(productId, variantId);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+
+    const { status, error } = await checkAvailability(productId, variantId, newQuantity);
+
+    if (error) {
+      return next(createError(status, error));
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: productId, variant: variantId, quantity });
+    }
+
+    await cart.save();
+
+    await sendCart(res, cart, 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update cart item quantity (0 removes the line)
+// @route   PUT /api/cart/items/:productId?variantId=
+// @access  Public (guest cart token or logged in user)
+exports.updateItem = async (req, res, next) => {
+  try {
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return next(new BadRequestError('Quantity must be a whole number of 0 or more'));
+    }
+
+    const cart = await findCart(req);
+    const item = cart && cart.findItem(req.params.productId, req.query.variantId);
+
+    if (!item) {
+      return next(new NotFoundError('Item not found in cart'));
+    }
+
+    if (quantity === 0) {
+      cart.items.pull(item);
+    } else {
+      const { status, error } = await checkAvailability(
+        req.params.productId,
+        req.query.variantId,
+        quantity
+      );
+
+      if (error) {
+        return next(createError(status, error));
+      }
+
+      item.quantity = quantity;
+    }
+
+    await cart.save();
+
+    await sendCart(res, cart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:productId?variantId=
+// @access  Public (guest cart token or logged in user)
+exports.removeItem = async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.findItem(req.params.productId, req.query.variantId);
+
+    if (!item) {
+      return next(new NotFoundError('Item not found in cart'));
+    }
+
+    cart.items.pull(item);
+    await cart.save();
+
+    await sendCart(res, cart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Public (guest cart token or logged in user)
+exports.clearCart = async (req, res, next) => {
+  try {
+    const cart = await findCart(req);
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    await sendCart(res, cart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge guest cart into the logged in user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+exports.mergeCart = async (req, res, next) => {
+  try {
+    const token = getCartToken(req);
+
+    if (!token) {
+      return next(new BadRequestError('Please provide a cart token'));
+    }
+
+    const cart = await Cart.mergeGuestCart(token, req.user._id);
+
+    await sendCart(res, cart);
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -1,5 +1,6 @@
 const Category = require('../models/Category');
 const Product = require('../models/Product');
+const { BadRequestError, NotFoundError, createError } = require('../utils/errors');
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -27,42 +28,44 @@ exports.getCategory = async (req, res, next) => {
     const category = await Category.findById(req.params.id);
     
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found'
-      });
+      return next(new NotFoundError('Category not found'));
     }
     
-    // Get products in this category (with pagination)
+    // Get products in this category and all its subcategories
+    // (with pagination); ?includeSubcategories=false for this category only
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
     
-    const [products, total] = await Promise.all([
-      Product.find({ 
-        category: category._id,
-        isActive: true 
-      })
-        .select('name price images rating stock')
+    const categoryIds = req.query.includeSubcategories === 'false'
+      ? [category._id]
+      : [category._id, ...await Category.getDescendantIds(category._id)];
+    
+    const productFilter = {
+      category: { $in: categoryIds },
+      isActive: true
+    };
+    
+    const [products, total, subcategories, breadcrumbs] = await Promise.all([
+      Product.find(productFilter)
+        .select('name price discount images rating stock category')
         .skip(startIndex)
         .limit(limit)
         .sort(req.query.sort || '-createdAt'),
-      Product.countDocuments({ 
-        category: category._id,
+      Product.countDocuments(productFilter),
+      // Get subcategories
+      Category.find({ 
+        parentCategory: category._id,
         isActive: true 
-      })
+      }),
+      category.getBreadcrumbs()
     ]);
     
-    // Get subcategories
-    const subcategories = await Category.find({ 
-      parentCategory: category._id,
-      isActive: true 
-    });
-    
     res.status(200).json({
       success: true,
       data: {
         category,
+        breadcrumbs,
         products: {
           data: products,
           total,
@@ -77,26 +80,26 @@ exports.getCategory = async (req, res, next) => {
   }
 };
 
-// @desc    Get category by slug
+// @desc    Get category by slug (old slugs resolve to the category
+//          with a moved flag and its current slug)
 // @route   GET /api/categories/slug/:slug
 // @access  Public
 exports.getCategoryBySlug = async (req, res, next) => {
   try {
-    const category = await Category.findOne({ 
-      slug: req.params.slug,
-      isActive: true 
-    });
+    const category = await Category.findBySlug(req.params.slug, { isActive: true });
     
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found'
-      });
+      return next(new NotFoundError('Category not found'));
     }
     
+    const breadcrumbs = await category.getBreadcrumbs();
+    const moved = category.slug !== req.params.slug;
+    
     res.status(200).json({
       success: true,
-      data: category
+      ...(moved && { moved: true, slug: category.slug }),
+      data: category,
+      breadcrumbs
     });
   } catch (error) {
     next(error);
@@ -112,13 +115,15 @@ exports.createCategory = async (req, res, next) => {
     if (req.body.parentCategory) {
       const parent = await Category.findById(req.body.parentCategory);
       if (!parent) {
-        return res.status(404).json({
-          success: false,
-          error: 'Parent category not found'
-        });
+        return next(new NotFoundError('Parent category not found'));
       }
     }
     
+    // The ancestor path is worked out from the parent
+    delete req.body.ancestors;
+    delete req.body.depth;
+    delete req.body.slugHistory;
+    
     const category = await Category.create(req.body);
     
     res.status(201).json({
@@ -138,38 +143,32 @@ exports.updateCategory = async (req, res, next) => {
     let category = await Category.findById(req.params.id);
     
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found'
-      });
+      return next(new NotFoundError('Category not found'));
     }
     
-    // Check if parent category exists and prevent circular reference
-    if (req.body.parentCategory) {
-      if (req.body.parentCategory === req.params.id) {
-        return res.status(400).json({
-          success: false,
-          error: 'Category cannot be its own parent'
-        });
-      }
+    delete req.body.ancestors;
+    delete req.body.depth;
+    delete req.body.slugHistory;
+    
+    // Changing the parent moves the whole subtree
+    if (req.body.parentCategory !== undefined) {
+      const parentId = req.body.parentCategory || null;
+      delete req.body.parentCategory;
       
-      const parent = await Category.findById(req.body.parentCategory);
-      if (!parent) {
-        return res.status(404).json({
-          success: false,
-          error: 'Parent category not found'
-        });
+      if (String(parentId) !== String(category.parentCategory)) {
+        const result = await Category.moveCategory(category, parentId);
+        
+        if (result.error) {
+          return next(createError(result.status, result.error));
+        }
+        
+        category = result.category;
       }
     }
     
-    category = await Category.findByIdAndUpdate(
-      req.params.id, 
-      req.body, 
-      {
-        new: true,
-        runValidators: true
-      }
-    );
+    // Saved so a rename also updates the slug
+    category.set(req.body);
+    await category.save();
     
     res.status(200).json({
       success: true,
@@ -180,6 +179,52 @@ exports.updateCategory = async (req, res, next) => {
   }
 };
 
+// @desc    Move category (with its subcategories) under another parent
+// @route   PUT /api/categories/:id/move
+// @access  Private/Admin
+exports.moveCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    
+    if (!category) {
+      return next(new NotFoundError('Category not found'));
+    }
+    
+    const parentId = req.body?.parentCategory || null;
+    const result = await Category.moveCategory(category, parentId);
+    
+    if (result.error) {
+      return next(createError(result.status, result.error));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: result.category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rebuild stored ancestor paths from the parent links
+// @route   POST /api/categories/hierarchy/rebuild
+// @access  Private/Admin
+exports.rebuildCategoryPaths = async (req, res, next) => {
+  try {
+    const detached = await Category.rebuildPaths();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        // Categories that were part of a cycle and are now top level
+        detached
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Delete category
 // @route   DELETE /api/categories/:id
 // @access  Private/Admin
@@ -188,10 +233,7 @@ exports.deleteCategory = async (req, res, next) => {
     const category = await Category.findById(req.params.id);
     
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found'
-      });
+      return next(new NotFoundError('Category not found'));
     }
     
     // Check if category has products
@@ -200,10 +242,7 @@ exports.deleteCategory = async (req, res, next) => {
     });
     
     if (productCount > 0) {
-      return res.status(400).json({
-        success: false,
-        error: `Cannot delete category with ${productCount} products. Move products first.`
-      });
+      return next(new BadRequestError(`Cannot delete category with ${productCount} products. Move products first.`));
     }
     
     // Check if category has subcategories
@@ -212,10 +251,7 @@ exports.deleteCategory = async (req, res, next) => {
     });
     
     if (subcategoryCount > 0) {
-      return res.status(400).json({
-        success: false,
-        error: `Cannot delete category with ${subcategoryCount} subcategories. Delete subcategories first.`
-      });
+      return next(new BadRequestError(`Cannot delete category with ${subcategoryCount} subcategories. Delete subcategories first.`));
     }
     
     await category.deleteOne();
@@ -237,17 +273,11 @@ exports.uploadCategoryImage = async (req, res, next) => {
     const category = await Category.findById(req.params.id);
     
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found'
-      });
+      return next(new NotFoundError('Category not found'));
     }
     
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please upload an image'
-      });
+      return next(new BadRequestError('Please upload an image'));
     }
     
     // Upload to Cloudinary or use local path
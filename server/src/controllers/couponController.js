@@ -0,0 +1,178 @@
+const Coupon = require('../models/Coupon');
+const { roundPrice, priceItems } = require('../utils/pricing');
+const { BadRequestError, NotFoundError, createError } = require('../utils/errors');
+
+// @desc    Validate coupon codes against line items
+// @route   POST /api/coupons/validate
+// @access  Public (per-user limits are checked for logged in users)
+exports.validateCoupon = async (req, res, next) => {
+  try {
+    const codes = req.body.couponCodes || req.body.couponCode;
+
+    if (!codes || codes.length === 0) {
+      return next(new BadRequestError('Please provide a coupon code'));
+    }
+
+    const { lines, status, error } = await priceItems(req.body.items);
+
+    if (error) {
+      return next(createError(status, error));
+    }
+
+    const promotion = await Coupon.applyCoupons(codes, lines, req.user && req.user._id);
+
+    if (promotion.error) {
+      return next(new BadRequestError(promotion.error));
+    }
+
+    const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: lines.map((line, index) => ({
+          product: line.product._id,
+          variant: line.variant ? line.variant._id : undefined,
+          name: line.product.name,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          lineTotal: line.lineTotal,
+          discount: promotion.lineDiscounts[index],
+          total: roundPrice(line.lineTotal - promotion.lineDiscounts[index])
+        })),
+        coupons: promotion.breakdown,
+        subtotal,
+        discount: promotion.discount,
+        total: roundPrice(subtotal - promotion.discount)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+exports.getCoupons = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .select('-redemptions')
+        .sort(req.query.sort || '-createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: coupons
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+exports.getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email');
+
+    if (!coupon) {
+      return next(new NotFoundError('Coupon not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+exports.createCoupon = async (req, res, next) => {
+  try {
+    // Usage is only changed by placing and cancelling orders
+    delete req.body.usedCount;
+    delete req.body.redemptions;
+
+    const coupon = await Coupon.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return next(new NotFoundError('Coupon not found'));
+    }
+
+    delete req.body.usedCount;
+    delete req.body.redemptions;
+
+    coupon.set(req.body);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return next(new NotFoundError('Coupon not found'));
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,329 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const { hasPermission } = require('../middleware/auth');
+const { roundPrice, priceItems } = require('../utils/pricing');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  createError
+} = require('../utils/errors');
+
+// Statuses that put the ordered stock (and coupon uses) back
+const STOCK_RESTORING_STATUSES = ['cancelled', 'refunded'];
+
+// Move an order to a new status. The update only applies if the order is
+// still in the status it was read with, so two concurrent changes can't
+// both restore stock.
+const changeStatus = async (order, status, userId, note) => {
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: {
+        status,
+        [`${status}At`]: Date.now()
+      },
+      $push: {
+        statusHistory: { status, note, changedBy: userId }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  // Cancelled and refunded orders give their stock and coupon uses back
+  if (updated && STOCK_RESTORING_STATUSES.includes(status)) {
+    await Product.releaseStock(order.items);
+    await Coupon.release(order._id);
+  }
+
+  return updated;
+};
+
+// @desc    Place order
+// @route   POST /api/orders
+// @access  Private
+exports.createOrder = async (req, res, next) => {
+  try {
+    let requested = req.body?.items;
+    let cart;
+
+    // Check out the user's cart when no items are sent
+    if (!requested || requested.length === 0) {
+      cart = await Cart.findOne({ user: req.user._id });
+      requested = cart
+        ? cart.items.map(item => ({
+            productId: item.product.toString(),
+            variantId: item.variant && item.variant.toString(),
+            quantity: item.quantity
+          }))
+        : [];
+    }
+
+    const { lines, status, error } = await priceItems(requested);
+
+    if (error) {
+      return next(createError(status, error));
+    }
+
+    // Apply coupon codes
+    const codes = req.body?.couponCodes || req.body?.couponCode;
+    let promotion = { coupons: [], breakdown: [], lineDiscounts: lines.map(() => 0), discount: 0 };
+
+    if (codes && codes.length > 0) {
+      promotion = await Coupon.applyCoupons(codes, lines, req.user._id);
+
+      if (promotion.error) {
+        return next(new BadRequestError(promotion.error));
+      }
+    }
+
+    const stockLines = lines.map(line => ({
+      product: line.product._id,
+      variant: line.variant && line.variant._id,
+      quantity: line.quantity
+    }));
+
+    // Take the stock for every line or for none of them
+    const reservation = await Product.reserveStock(stockLines);
+
+    if (!reservation.success) {
+      const failed = lines.find(line => line.product._id.equals(reservation.failed.product));
+      return next(new BadRequestError(`Not enough stock for ${failed.product.name}`));
+    }
+
+    const items = lines.map((line, index) => {
+      const { product, variant } = line;
+      const images = variant && variant.images.length > 0 ? variant.images : product.images;
+
+      return {
+        product: product._id,
+        variant: variant && variant._id,
+        name: product.name,
+        variantOptions: variant ? variant.options : undefined,
+        sku: variant ? variant.sku : product.sku,
+        image: images.length > 0 ? images[0].url : undefined,
+        price: line.price,
+        unitPrice: line.unitPrice,
+        quantity: line.quantity,
+        lineTotal: line.lineTotal,
+        couponDiscount: promotion.lineDiscounts[index]
+      };
+    });
+
+    const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const saleTotal = roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    const order = new Order({
+      user: req.user._id,
+      items,
+      shippingAddress: req.body?.shippingAddress || req.user.address,
+      subtotal,
+      discount: roundPrice(subtotal - saleTotal),
+      coupons: promotion.breakdown,
+      couponDiscount: promotion.discount,
+      total: roundPrice(saleTotal - promotion.discount),
+      statusHistory: [{ status: 'pending', changedBy: req.user._id }]
+    });
+
+    // Record coupon use, checking usage limits atomically
+    const redemption = await Coupon.redeem(promotion.coupons, req.user._id, order._id);
+
+    if (!redemption.success) {
+      await Product.releaseStock(stockLines);
+      return next(new BadRequestError(`Coupon ${redemption.failed.code} is no longer available`));
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await Product.releaseStock(stockLines);
+      await Coupon.release(order._id);
+      throw error;
+    }
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get logged in user's orders
+// @route   GET /api/orders/my
+// @access  Private
+exports.getMyOrders = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const [orders, total] = await Promise.all([
+      Order.find({ user: req.user._id })
+        .sort('-createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      Order.countDocuments({ user: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all orders
+// @route   GET /api/orders
+// @access  Private/Admin
+exports.getOrders = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.user) {
+      filter.user = req.query.user;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate('user', 'name email')
+        .sort(req.query.sort || '-createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: orders
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single order
+// @route   GET /api/orders/:id
+// @access  Private (owner or admin)
+exports.getOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('user', 'name email');
+
+    if (!order) {
+      return next(new NotFoundError('Order not found'));
+    }
+
+    // Make sure user owns the order or can view all orders
+    if (order.user._id.toString() !== req.user.id &&
+        !await hasPermission(req.user, 'order:read')) {
+      return next(new ForbiddenError('Not authorized to view this order'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update order status
+// @route   PUT /api/orders/:id/status
+// @access  Private/Admin
+exports.updateOrderStatus = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
+      return next(new BadRequestError(`Status must be one of ${Object.keys(Order.STATUS_TRANSITIONS).join(', ')}`));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new NotFoundError('Order not found'));
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return next(new BadRequestError(`Cannot change order status from ${order.status} to ${status}`));
+    }
+
+    const updated = await changeStatus(order, status, req.user._id, note);
+
+    if (!updated) {
+      return next(new ConflictError('Order was changed by another request, please try again'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel order
+// @route   PUT /api/orders/:id/cancel
+// @access  Private (owner or admin)
+exports.cancelOrder = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new NotFoundError('Order not found'));
+    }
+
+    // Make sure user owns the order or can manage orders
+    if (order.user.toString() !== req.user.id &&
+        !await hasPermission(req.user, 'order:manage')) {
+      return next(new ForbiddenError('Not authorized to cancel this order'));
+    }
+
+    if (!order.canTransitionTo('cancelled')) {
+      return next(new BadRequestError(`Cannot cancel an order that is ${order.status}`));
+    }
+
+    const updated = await changeStatus(order, 'cancelled', req.user._id, req.body?.reason);
+
+    if (!updated) {
+      return next(new ConflictError('Order was changed by another request, please try again'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -1,65 +1,179 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const { uploadToCloudinary } = require('../middleware/upload');
+const { getProductFacets } = require('../utils/facets');
+const { escapeRegex, expandQuery, suggestQuery } = require('../utils/search');
 const fs = require('fs');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Upload an image to Cloudinary (or use local path)
+const buildImageData = async (file, alt) => {
+  if (process.env.NODE_ENV === 'production' && process.env.CLOUDINARY_CLOUD_NAME) {
+    const result = await uploadToCloudinary(file.path);
+    // Delete local file after upload
+    fs.unlinkSync(file.path);
+    return {
+      url: result.secure_url,
+      public_id: result.public_id,
+      alt
+    };
+  }
+  
+  return {
+    url: `/uploads/products/${file.filename}`,
+    alt
+  };
+};
+
+// Sort parameters that sort on a different field
+const SORT_FIELDS = {
+  price: 'currentPrice',
+  rating: 'ratingScore'
+};
+
+// Product fields that listings can be filtered on
+const FILTER_FIELDS = ['price', 'stock', 'rating', 'numReviews', 'brand', 'category'];
+
+// Turn a filter value such as { lt: 100 } into a query condition ({ $lt: 100 })
+const toCondition = (value) => (value !== null && typeof value === 'object'
+  ? Object.fromEntries(Object.entries(value).map(([operator, operand]) => [`$${operator}`, operand]))
+  : value);
 
 // @desc    Get all products with filtering, sorting, pagination
 // @route   GET /api/products
 // @access  Public
 exports.getProducts = async (req, res, next) => {
   try {
-    // Copy req.query
-    const reqQuery = { ...req.query };
+    const filter = {};
+    
+    // Field filters, with operators such as ?price[lt]=100 (the
+    // validation schema only lets the known fields and operators through)
+    Object.keys(req.query)
+      .filter(param => FILTER_FIELDS.includes(param) || param.startsWith('specifications.'))
+      .forEach(param => {
+        filter[param] = toCondition(req.query[param]);
+      });
+    
+    // Variant option filters, e.g. ?variant.size=M&variant.colour=Red
+    const variantFilter = {};
+    Object.keys(req.query)
+      .filter(param => param.startsWith('variant.'))
+      .forEach(param => {
+        variantFilter[`options.${param.slice('variant.'.length)}`] = toCondition(req.query[param]);
+      });
+    
+    // A category filter (id or slug) includes all of its subcategories
+    if (typeof filter.category === 'string') {
+      const category = mongoose.isValidObjectId(filter.category)
+        ? await Category.findById(filter.category)
+        : await Category.findBySlug(filter.category);
+      
+      filter.category = category
+        ? { $in: [category._id, ...await Category.getDescendantIds(category._id)] }
+        : { $in: [] };
+    }
     
-    // Fields to exclude from filtering
-    const removeFields = ['select', 'sort', 'page', 'limit', 'search'];
-    removeFields.forEach(param => delete reqQuery[param]);
+    // Price filters use the price in effect now (including running sales)
+    if (filter.price !== undefined) {
+      filter.currentPrice = filter.price;
+      delete filter.price;
+    }
     
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery);
+    const inStock = req.query.inStock === 'true';
     
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+    // Match products with an active variant that has the requested options
+    if (Object.keys(variantFilter).length > 0) {
+      filter.variants = {
+        $elemMatch: {
+          ...variantFilter,
+          isActive: true,
+          ...(inStock && { stock: { $gt: 0 } })
+        }
+      };
+    } else if (inStock) {
+      filter.stock = { $gt: 0 };
+    }
     
-    // Building query
-    let query = Product.find(JSON.parse(queryStr)).populate('category', 'name slug');
+    const conditions = [];
     
-    // Search functionality
-    if (req.query.search) {
-      query = query.find({
-        $or: [
-          { name: { $regex: req.query.search, $options: 'i' } },
-          { description: { $regex: req.query.search, $options: 'i' } },
-          { brand: { $regex: req.query.search, $options: 'i' } }
-        ]
+    // SKU can belong to the product or to one of its variants
+    if (req.query.sku) {
+      conditions.push({
+        $or: [{ sku: req.query.sku }, { 'variants.sku': req.query.sku }]
       });
     }
     
+    // Full-text search on name, brand and description, with typos
+    // corrected and synonyms added by the search layer
+    let searchInfo;
+    
+    if (req.query.search) {
+      searchInfo = await expandQuery(req.query.search);
+      filter.$text = {
+        $search: searchInfo.terms.length > 0 ? searchInfo.terms.join(' ') : req.query.search
+      };
+    }
+    
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
+    
+    // Building query
+    let query = Product.find(filter).populate('category', 'name slug');
+    
     // Select fields
     if (req.query.select) {
       const fields = req.query.select.split(',').join(' ');
       query = query.select(fields);
     }
     
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
+    // Searches include the relevance score
+    if (req.query.search) {
+      query = query.select({ score: { $meta: 'textScore' } });
     }
     
+    // Sort (by the price in effect now, by the weighted rating score, or by
+    // search relevance). Searches are sorted by relevance unless another
+    // sort is given.
+    const sortFields = req.query.sort
+      ? req.query.sort.split(',')
+      : [req.query.search ? 'relevance' : '-createdAt'];
+    const sortBy = {};
+    
+    sortFields.forEach(field => {
+      if (field === 'relevance') {
+        if (req.query.search) {
+          sortBy.score = { $meta: 'textScore' };
+        }
+        return;
+      }
+      
+      const name = field.replace(/^-/, '');
+      sortBy[SORT_FIELDS[name] || name] = field.startsWith('-') ? -1 : 1;
+    });
+    
+    query = query.sort(Object.keys(sortBy).length > 0 ? sortBy : '-createdAt');
+    
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
     const endIndex = page * limit;
-    const total = await Product.countDocuments(query);
+    const total = await Product.countDocuments(filter);
+    
+    // Suggest a different spelling when a search finds nothing
+    if (searchInfo) {
+      searchInfo.didYouMean = total === 0 ? await suggestQuery(req.query.search) : null;
+    }
     
     query = query.skip(startIndex).limit(limit);
     
-    // Execute query
-    const products = await query;
+    // Execute query (with filter counts when ?facets=true)
+    const [products, facets] = await Promise.all([
+      query,
+      req.query.facets === 'true' ? getProductFacets(filter) : undefined
+    ]);
     
     // Pagination result
     const pagination = {};
@@ -82,7 +196,52 @@ exports.getProducts = async (req, res, next) => {
       success: true,
       count: products.length,
       pagination,
-      data: products
+      data: products,
+      ...(searchInfo && { search: { query: req.query.search, ...searchInfo } }),
+      ...(facets && { facets })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Autocomplete product names, brands and categories
+// @route   GET /api/products/suggest?q=lap
+// @access  Public
+exports.getSuggestions = async (req, res, next) => {
+  try {
+    const prefix = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
+    
+    if (prefix.length === 0) {
+      return next(new BadRequestError('Please provide a search prefix'));
+    }
+    
+    // Match the start of any word
+    const pattern = new RegExp(`(^|\\s)${escapeRegex(prefix)}`, 'i');
+    
+    const [products, brands, categories] = await Promise.all([
+      Product.find({ name: pattern, isActive: true })
+        .select('name images')
+        .sort('-numReviews')
+        .limit(limit),
+      Product.distinct('brand', { brand: pattern, isActive: true }),
+      Category.find({ name: pattern, isActive: true })
+        .select('name slug')
+        .limit(limit)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        products: products.map(product => ({
+          _id: product._id,
+          name: product.name,
+          image: product.images.length > 0 ? product.images[0].url : null
+        })),
+        brands: brands.sort().slice(0, limit),
+        categories
+      }
     });
   } catch (error) {
     next(error);
@@ -102,13 +261,11 @@ exports.getProduct = async (req, res, next) => {
           path: 'user',
           select: 'name'
         }
-      });
+      })
+      .populate('questionCount');
     
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+      return next(new NotFoundError('Product not found'));
     }
     
     res.status(200).json({
@@ -120,6 +277,42 @@ exports.getProduct = async (req, res, next) => {
   }
 };
 
+// @desc    Get single product by slug (old slugs resolve to the product
+//          with a moved flag and its current slug)
+// @route   GET /api/products/slug/:slug
+// @access  Public
+exports.getProductBySlug = async (req, res, next) => {
+  try {
+    const product = await Product.findBySlug(req.params.slug);
+    
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+    
+    await product.populate([
+      { path: 'category', select: 'name slug' },
+      {
+        path: 'reviews',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      },
+      { path: 'questionCount' }
+    ]);
+    
+    const moved = product.slug !== req.params.slug;
+    
+    res.status(200).json({
+      success: true,
+      ...(moved && { moved: true, slug: product.slug }),
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Private/Admin
@@ -131,12 +324,11 @@ exports.createProduct = async (req, res, next) => {
     // Check if category exists
     const category = await Category.findById(req.body.category);
     if (!category) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found'
-      });
+      return next(new NotFoundError('Category not found'));
     }
     
+    delete req.body.slugHistory;
+    
     const product = await Product.create(req.body);
     
     res.status(201).json({
@@ -156,17 +348,16 @@ exports.updateProduct = async (req, res, next) => {
     let product = await Product.findById(req.params.id);
     
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+      return next(new NotFoundError('Product not found'));
     }
     
-    // Update product
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    // Old slugs are only recorded by renaming
+    delete req.body.slugHistory;
+    
+    // Update product (saved so variants are validated, stock is derived
+    // and a rename updates the slug)
+    product.set(req.body);
+    await product.save();
     
     res.status(200).json({
       success: true,
@@ -185,10 +376,7 @@ exports.deleteProduct = async (req, res, next) => {
     const product = await Product.findById(req.params.id);
     
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+      return next(new NotFoundError('Product not found'));
     }
     
     // Delete images from Cloudinary if they exist
@@ -219,43 +407,16 @@ exports.uploadProductImages = async (req, res, next) => {
     const product = await Product.findById(req.params.id);
     
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+      return next(new NotFoundError('Product not found'));
     }
     
     if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please upload at least one image'
-      });
+      return next(new BadRequestError('Please upload at least one image'));
     }
     
-    const uploadPromises = req.files.map(async (file) => {
-      // Upload to Cloudinary (or use local path)
-      let imageData;
-      
-      if (process.env.NODE_ENV === 'production' && process.env.CLOUDINARY_CLOUD_NAME) {
-        const result = await uploadToCloudinary(file.path);
-        imageData = {
-          url: result.secure_url,
-          public_id: result.public_id,
-          alt: req.body.alt || product.name
-        };
-        // Delete local file after upload
-        fs.unlinkSync(file.path);
-      } else {
-        imageData = {
-          url: `/uploads/products/${file.filename}`,
-          alt: req.body.alt || product.name
-        };
-      }
-      
-      return imageData;
-    });
-    
-    const uploadedImages = await Promise.all(uploadPromises);
+    const uploadedImages = await Promise.all(
+      req.files.map(file => buildImageData(file, req.body.alt || product.name))
+    );
     
     // Add images to product
     product.images.push(...uploadedImages);
@@ -270,42 +431,135 @@ exports.uploadProductImages = async (req, res, next) => {
   }
 };
 
+// @desc    Upload product variant images
+// @route   PUT /api/products/:id/variants/:variantId/images
+// @access  Private/Admin
+exports.uploadVariantImages = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+    
+    const variant = product.variants.id(req.params.variantId);
+    
+    if (!variant) {
+      return next(new NotFoundError('Variant not found'));
+    }
+    
+    if (!req.files || req.files.length === 0) {
+      return next(new BadRequestError('Please upload at least one image'));
+    }
+    
+    const uploadedImages = await Promise.all(
+      req.files.map(file => buildImageData(file, req.body.alt || product.name))
+    );
+    
+    variant.images.push(...uploadedImages);
+    await product.save();
+    
+    res.status(200).json({
+      success: true,
+      data: uploadedImages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update product stock
 // @route   PUT /api/products/:id/stock
 // @access  Private/Admin
 exports.updateStock = async (req, res, next) => {
   try {
-    const { quantity, operation } = req.body; // operation: 'add', 'subtract', 'set'
+    const { quantity, operation, variantId } = req.body; // operation: 'add', 'subtract', 'set'
     
     if (!['add', 'subtract', 'set'].includes(operation)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Operation must be add, subtract, or set'
-      });
+      return next(new BadRequestError('Operation must be add, subtract, or set'));
     }
     
-    const product = await Product.findById(req.params.id);
+    if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity < 0) {
+      return next(new BadRequestError('Quantity must be a whole number of 0 or more'));
+    }
     
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+    const existing = await Product.findById(req.params.id).select('variants._id');
+    
+    if (!existing) {
+      return next(new NotFoundError('Product not found'));
+    }
+    
+    // Stock of products with variants is the total of their variants
+    if (existing.variants.length > 0 && !variantId) {
+      return next(new BadRequestError('Please provide a variantId for products with variants'));
+    }
+    
+    if (variantId && !existing.variants.id(variantId)) {
+      return next(new NotFoundError('Variant not found'));
     }
     
+    // Update stock in a single atomic operation so concurrent
+    // updates and checkouts can't overwrite each other
+    const current = variantId ? '$$variant.stock' : '$stock';
+    let newStock;
+    
     switch (operation) {
       case 'add':
-        product.stock += quantity;
+        newStock = { $add: [current, quantity] };
         break;
       case 'subtract':
-        product.stock = Math.max(0, product.stock - quantity);
+        newStock = { $max: [0, { $subtract: [current, quantity] }] };
         break;
       case 'set':
-        product.stock = quantity;
+        newStock = { $literal: quantity };
         break;
     }
     
-    await product.save();
+    const update = variantId
+      ? [
+          {
+            $set: {
+              variants: {
+                $map: {
+                  input: '$variants',
+                  as: 'variant',
+                  in: {
+                    $cond: [
+                      { $eq: ['$$variant._id', existing.variants.id(variantId)._id] },
+                      { $mergeObjects: ['$$variant', { stock: newStock }] },
+                      '$$variant'
+                    ]
+                  }
+                }
+              }
+            }
+          },
+          {
+            $set: {
+              stock: {
+                $sum: {
+                  $map: {
+                    input: {
+                      $filter: { input: '$variants', as: 'variant', cond: '$$variant.isActive' }
+                    },
+                    as: 'variant',
+                    in: '$$variant.stock'
+                  }
+                }
+              }
+            }
+          }
+        ]
+      : [{ $set: { stock: newStock } }];
+    
+    const product = await Product.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      updatePipeline: true
+    });
+    
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
     
     res.status(200).json({
       success: true,
@@ -314,4 +568,153 @@ exports.updateStock = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+// @desc    Schedule a sale for a whole category (and its subcategories) or brand
+// @route   POST /api/products/sales
+// @access  Private/Admin
+exports.scheduleSale = async (req, res, next) => {
+  try {
+    const { category, brand, percentage } = req.body;
+    const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : undefined;
+    const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : undefined;
+    
+    if (!category && !brand) {
+      return next(new BadRequestError('Please provide a category or brand'));
+    }
+    
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+      return next(new BadRequestError('Percentage must be a number between 0 and 100'));
+    }
+    
+    if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt))) {
+      return next(new BadRequestError('Please provide valid sale dates'));
+    }
+    
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      return next(new BadRequestError('Sale end date must be after the start date'));
+    }
+    
+    const filter = {};
+    if (category) {
+      // The sale covers the subcategories too, as browsing the category does
+      filter.category = { $in: [category, ...await Category.getDescendantIds(category)] };
+    }
+    if (brand) filter.brand = brand;
+    
+    const products = await Product.find(filter).select('price discount variants');
+    const now = new Date();
+    
+    // A percentage sale replaces any fixed sale price
+    const updates = products.map(product => {
+      product.discount = { percentage, startsAt, endsAt };
+      
+      return {
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: {
+              discount: {
+                percentage,
+                startsAt,
+                endsAt,
+                discountedPrice: Math.round(product.discountPrice(product.price) * 100) / 100
+              },
+              currentPrice: product.computeCurrentPrice(now),
+              pricedAt: now
+            }
+          }
+        }
+      };
+    });
+    
+    if (updates.length > 0) {
+      await Product.bulkWrite(updates);
+    }
+    
+    res.status(200).json({
+      success: true,
+      count: updates.length,
+      data: {
+        percentage,
+        startsAt,
+        endsAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get products on sale by status (upcoming, active, expired)
+// @route   GET /api/products/sales
+// @access  Private/Admin
+exports.getSales = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const conditions = [{
+      $or: [
+        { 'discount.percentage': { $gt: 0 } },
+        { 'discount.salePrice': { $ne: null } }
+      ]
+    }];
+    
+    switch (req.query.status) {
+      case 'upcoming':
+        conditions.push({ 'discount.startsAt': { $gt: now } });
+        break;
+      case 'active':
+        conditions.push(
+          { $or: [{ 'discount.startsAt': null }, { 'discount.startsAt': { $lte: now } }] },
+          { $or: [{ 'discount.endsAt': null }, { 'discount.endsAt': { $gt: now } }] }
+        );
+        break;
+      case 'expired':
+        conditions.push({ 'discount.endsAt': { $lte: now } });
+        break;
+      case undefined:
+        break;
+      default:
+        return next(new BadRequestError('Status must be upcoming, active or expired'));
+    }
+    
+    const filter = { $and: conditions };
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.brand) filter.brand = req.query.brand;
+    
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+    
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .select('name brand category price discount currentPrice variants')
+        .populate('category', 'name slug')
+        .sort('discount.startsAt')
+        .skip(startIndex)
+        .limit(limit),
+      Product.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: products.map(product => ({
+        _id: product._id,
+        name: product.name,
+        brand: product.brand,
+        category: product.category,
+        price: product.price,
+        finalPrice: product.finalPrice,
+        currentPrice: product.currentPrice,
+        discount: product.discount,
+        saleStatus: product.saleStatus
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
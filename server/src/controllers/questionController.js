@@ -0,0 +1,535 @@
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const Product = require('../models/Product');
+const { hasPermission } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/search');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Hold new questions and answers for a moderator to approve before they
+// are shown (official answers are always published)
+const REQUIRE_APPROVAL = process.env.QA_REQUIRE_APPROVAL === 'true';
+
+// Answers shown with each question in the product listing
+const ANSWER_PREVIEW = 3;
+
+// Official answers first, then the most helpful
+const ANSWER_ORDER = '-isOfficial -helpfulVotes createdAt';
+
+// Orders for the question listing's sort parameter
+const QUESTION_SORTS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  answers: '-answerCount -createdAt'
+};
+
+const MODELS = {
+  question: Question,
+  answer: Answer
+};
+
+// Whether the user wrote the question or answer, or can moderate them
+const canManage = async (user, doc) =>
+  doc.user.toString() === user.id || hasPermission(user, 'question:moderate');
+
+// @desc    Get questions about a product, each with its top answers
+// @route   GET /api/products/:productId/questions
+// @access  Public
+exports.getProductQuestions = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('_id');
+
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+
+    const filter = { product: product._id, ...Question.PUBLISHED };
+
+    if (req.query.answered === 'true') {
+      filter.answerCount = { $gt: 0 };
+    } else if (req.query.answered === 'false') {
+      filter.answerCount = 0;
+    }
+
+    if (req.query.search) {
+      filter.text = new RegExp(escapeRegex(String(req.query.search)), 'i');
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .populate('user', 'name')
+        .sort(QUESTION_SORTS[req.query.sort] || QUESTION_SORTS.newest)
+        .skip(startIndex)
+        .limit(limit),
+      Question.countDocuments(filter)
+    ]);
+
+    const answers = await Promise.all(questions.map(question =>
+      Answer.find({ question: question._id, ...Answer.PUBLISHED })
+        .populate('user', 'name')
+        .sort(ANSWER_ORDER)
+        .limit(ANSWER_PREVIEW)
+    ));
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: questions.map((question, index) => ({
+        ...question.toJSON(),
+        answers: answers[index]
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Ask a question about a product
+// @route   POST /api/products/:productId/questions
+// @access  Private
+exports.askQuestion = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('_id');
+
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+
+    const question = await Question.create({
+      product: product._id,
+      user: req.user.id,
+      text: req.body.text,
+      status: REQUIRE_APPROVAL ? 'pending' : 'published'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update question
+// @route   PUT /api/questions/:id
+// @access  Private (question author)
+exports.updateQuestion = async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return next(new NotFoundError('Question not found'));
+    }
+
+    if (question.user.toString() !== req.user.id) {
+      return next(new ForbiddenError('Not authorized to update this question'));
+    }
+
+    question.text = req.body.text;
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete question and its answers
+// @route   DELETE /api/questions/:id
+// @access  Private (question author or moderator)
+exports.deleteQuestion = async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.id);
+
+    if (!question) {
+      return next(new NotFoundError('Question not found'));
+    }
+
+    if (!await canManage(req.user, question)) {
+      return next(new ForbiddenError('Not authorized to delete this question'));
+    }
+
+    await Answer.deleteMany({ question: question._id });
+    await question.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get answers to a question
+// @route   GET /api/questions/:id/answers
+// @access  Public
+exports.getAnswers = async (req, res, next) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, ...Question.PUBLISHED });
+
+    if (!question) {
+      return next(new NotFoundError('Question not found'));
+    }
+
+    const filter = { question: question._id, ...Answer.PUBLISHED };
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const [answers, total] = await Promise.all([
+      Answer.find(filter)
+        .populate('user', 'name')
+        .sort(ANSWER_ORDER)
+        .skip(startIndex)
+        .limit(limit),
+      Answer.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: answers.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: answers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Answer a question (staff can answer officially)
+// @route   POST /api/questions/:id/answers
+// @access  Private
+exports.answerQuestion = async (req, res, next) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, ...Question.PUBLISHED });
+
+    if (!question) {
+      return next(new NotFoundError('Question not found'));
+    }
+
+    const isOfficial = req.body.isOfficial === true;
+
+    if (isOfficial && !await hasPermission(req.user, 'question:moderate')) {
+      return next(new ForbiddenError('Not authorized to give official answers'));
+    }
+
+    const answer = await Answer.create({
+      question: question._id,
+      product: question.product,
+      user: req.user.id,
+      text: req.body.text,
+      isOfficial,
+      status: REQUIRE_APPROVAL && !isOfficial ? 'pending' : 'published'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: answer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update answer
+// @route   PUT /api/questions/answers/:id
+// @access  Private (answer author)
+exports.updateAnswer = async (req, res, next) => {
+  try {
+    const answer = await Answer.findById(req.params.id);
+
+    if (!answer) {
+      return next(new NotFoundError('Answer not found'));
+    }
+
+    if (answer.user.toString() !== req.user.id) {
+      return next(new ForbiddenError('Not authorized to update this answer'));
+    }
+
+    answer.text = req.body.text;
+    await answer.save();
+
+    res.status(200).json({
+      success: true,
+      data: answer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete answer
+// @route   DELETE /api/questions/answers/:id
+// @access  Private (answer author or moderator)
+exports.deleteAnswer = async (req, res, next) => {
+  try {
+    const answer = await Answer.findById(req.params.id);
+
+    if (!answer) {
+      return next(new NotFoundError('Answer not found'));
+    }
+
+    if (!await canManage(req.user, answer)) {
+      return next(new ForbiddenError('Not authorized to delete this answer'));
+    }
+
+    await answer.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark an answer as official (or not)
+// @route   PUT /api/questions/answers/:id/official
+// @access  Private/Admin
+exports.markOfficial = async (req, res, next) => {
+  try {
+    const answer = await Answer.findById(req.params.id);
+
+    if (!answer) {
+      return next(new NotFoundError('Answer not found'));
+    }
+
+    answer.isOfficial = req.body.isOfficial;
+    await answer.save();
+
+    res.status(200).json({
+      success: true,
+      data: answer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Vote an answer helpful
+// @route   POST /api/questions/answers/:id/helpful
+// @access  Private
+exports.voteAnswerHelpful = async (req, res, next) => {
+  try {
+    const existing = await Answer.findOne({ _id: req.params.id, ...Answer.PUBLISHED });
+
+    if (!existing) {
+      return next(new NotFoundError('Answer not found'));
+    }
+
+    if (existing.user.toString() === req.user.id) {
+      return next(new BadRequestError('You cannot vote for your own answer'));
+    }
+
+    // Only counts if the user hasn't voted already
+    const answer = await Answer.findOneAndUpdate(
+      { _id: existing._id, helpfulVoters: { $ne: req.user._id } },
+      {
+        $push: { helpfulVoters: req.user._id },
+        $inc: { helpfulVotes: 1 }
+      },
+      { new: true }
+    );
+
+    if (!answer) {
+      return next(new ConflictError('You have already voted for this answer', { code: 'ALREADY_VOTED' }));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        helpfulVotes: answer.helpfulVotes,
+        voted: true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove helpful vote from an answer
+// @route   DELETE /api/questions/answers/:id/helpful
+// @access  Private
+exports.removeAnswerVote = async (req, res, next) => {
+  try {
+    const answer = await Answer.findOneAndUpdate(
+      { _id: req.params.id, helpfulVoters: req.user._id },
+      {
+        $pull: { helpfulVoters: req.user._id },
+        $inc: { helpfulVotes: -1 }
+      },
+      { new: true }
+    );
+
+    if (!answer) {
+      return next(new NotFoundError('You have not voted for this answer'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        helpfulVotes: answer.helpfulVotes,
+        voted: false
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Report a question or answer (once per user, not your own)
+const reportContent = (type) => async (req, res, next) => {
+  try {
+    const Model = MODELS[type];
+    const existing = await Model.findOne({ _id: req.params.id, ...Model.PUBLISHED });
+
+    if (!existing) {
+      return next(new NotFoundError(`${Model.modelName} not found`));
+    }
+
+    if (existing.user.toString() === req.user.id) {
+      return next(new BadRequestError(`You cannot report your own ${type}`));
+    }
+
+    const reported = await Model.report(existing._id, req.user._id, {
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    if (!reported) {
+      return next(new ConflictError(`You have already reported this ${type}`, { code: 'ALREADY_REPORTED' }));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Thank you, the ${type} has been reported`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report question
+// @route   POST /api/questions/:id/report
+// @access  Private
+exports.reportQuestion = reportContent('question');
+
+// @desc    Report answer
+// @route   POST /api/questions/answers/:id/report
+// @access  Private
+exports.reportAnswer = reportContent('answer');
+
+// Questions or answers waiting for moderation (pending, hidden or reported)
+const moderationQueue = (type) => async (req, res, next) => {
+  try {
+    const Model = MODELS[type];
+    const filter = req.query.status ? { status: req.query.status } : Model.flaggedFilter();
+
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    let query = Model.find(filter)
+      .select('+reports')
+      .populate('user', 'name email')
+      .populate('product', 'name slug')
+      .populate('reports.user', 'name email');
+
+    if (type === 'answer') {
+      query = query.populate('question', 'text');
+    }
+
+    const [items, total] = await Promise.all([
+      query
+        .sort(req.query.sort || '-reportCount -createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      Model.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get questions waiting for moderation
+// @route   GET /api/questions/moderation/questions
+// @access  Private/Admin
+exports.getQuestionModerationQueue = moderationQueue('question');
+
+// @desc    Get answers waiting for moderation
+// @route   GET /api/questions/moderation/answers
+// @access  Private/Admin
+exports.getAnswerModerationQueue = moderationQueue('answer');
+
+// Set the moderation status of a question or answer
+const moderateContent = (type, status) => async (req, res, next) => {
+  try {
+    const Model = MODELS[type];
+    const doc = await Model.findById(req.params.id);
+
+    if (!doc) {
+      return next(new NotFoundError(`${Model.modelName} not found`));
+    }
+
+    await doc.moderate(status, req.user._id, req.body?.note);
+
+    res.status(200).json({
+      success: true,
+      data: doc
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve question
+// @route   PUT /api/questions/:id/approve
+// @access  Private/Admin
+exports.approveQuestion = moderateContent('question', 'published');
+
+// @desc    Hide question
+// @route   PUT /api/questions/:id/hide
+// @access  Private/Admin
+exports.hideQuestion = moderateContent('question', 'hidden');
+
+// @desc    Approve answer
+// @route   PUT /api/questions/answers/:id/approve
+// @access  Private/Admin
+exports.approveAnswer = moderateContent('answer', 'published');
+
+// @desc    Hide answer
+// @route   PUT /api/questions/answers/:id/hide
+// @access  Private/Admin
+exports.hideAnswer = moderateContent('answer', 'hidden');
\ No newline at end of file
@@ -1,18 +1,73 @@
 const Review = require('../models/Review');
 const Product = require('../models/Product');
+const { hasPermission } = require('../middleware/auth');
+const { uploadToCloudinary, deleteUploadedFile } = require('../middleware/upload');
+const fs = require('fs');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
 
-// @desc    Get reviews for a product
+// Hold new reviews for a moderator to approve before they are shown
+const REQUIRE_APPROVAL = process.env.REVIEW_REQUIRE_APPROVAL === 'true';
+
+// Orders for the review listing's sort parameter
+const REVIEW_SORTS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  highest: '-rating -createdAt',
+  lowest: 'rating -createdAt',
+  helpful: '-helpfulVotes -createdAt'
+};
+
+// @desc    Get reviews for a product, with a summary of all its ratings
 // @route   GET /api/products/:productId/reviews
 // @access  Public
 exports.getProductReviews = async (req, res, next) => {
   try {
-    const reviews = await Review.find({ product: req.params.productId })
-      .populate('user', 'name')
-      .sort('-createdAt');
+    const product = await Product.findById(req.params.productId).select('_id');
+    
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+    
+    const filter = { product: product._id, ...Review.PUBLISHED };
+    
+    if (req.query.rating) {
+      filter.rating = { $in: req.query.rating };
+    }
+    
+    if (req.query.verified === 'true') {
+      filter.isVerifiedPurchase = true;
+    }
+    
+    if (req.query.withPhotos === 'true') {
+      filter['media.type'] = 'image';
+    }
+    
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+    
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name')
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest)
+        .skip(startIndex)
+        .limit(limit),
+      Review.countDocuments(filter),
+      Review.getSummary(product._id)
+    ]);
     
     res.status(200).json({
       success: true,
       count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      summary,
       data: reviews
     });
   } catch (error) {
@@ -32,10 +87,7 @@ exports.addReview = async (req, res, next) => {
     const product = await Product.findById(req.params.productId);
     
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: 'Product not found'
-      });
+      return next(new NotFoundError('Product not found'));
     }
     
     // Check if user already reviewed this product
@@ -45,12 +97,11 @@ exports.addReview = async (req, res, next) => {
     });
     
     if (existingReview) {
-      return res.status(400).json({
-        success: false,
-        error: 'You have already reviewed this product'
-      });
+      return next(new BadRequestError('You have already reviewed this product'));
     }
     
+    req.body.status = REQUIRE_APPROVAL ? 'pending' : 'published';
+    
     const review = await Review.create(req.body);
     
     res.status(201).json({
@@ -67,27 +118,22 @@ exports.addReview = async (req, res, next) => {
 // @access  Private
 exports.updateReview = async (req, res, next) => {
   try {
-    let review = await Review.findById(req.params.id);
+    const review = await Review.findById(req.params.id);
     
     if (!review) {
-      return res.status(404).json({
-        success: false,
-        error: 'Review not found'
-      });
+      return next(new NotFoundError('Review not found'));
     }
     
-    // Make sure user owns the review
-    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({
-        success: false,
-        error: 'Not authorized to update this review'
-      });
+    // Make sure user owns the review or can moderate reviews
+    if (review.user.toString() !== req.user.id &&
+        !await hasPermission(req.user, 'review:moderate')) {
+      return next(new ForbiddenError('Not authorized to update this review'));
     }
     
-    review = await Review.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    // Saving (rather than a query update) runs the validators and the
+    // hook that updates the product rating
+    review.set(req.body);
+    await review.save();
     
     res.status(200).json({
       success: true,
@@ -106,22 +152,20 @@ exports.deleteReview = async (req, res, next) => {
     const review = await Review.findById(req.params.id);
     
     if (!review) {
-      return res.status(404).json({
-        success: false,
-        error: 'Review not found'
-      });
+      return next(new NotFoundError('Review not found'));
     }
     
-    // Make sure user owns the review or is admin
-    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({
-        success: false,
-        error: 'Not authorized to delete this review'
-      });
+    // Make sure user owns the review or can moderate reviews
+    if (review.user.toString() !== req.user.id &&
+        !await hasPermission(req.user, 'review:moderate')) {
+      return next(new ForbiddenError('Not authorized to delete this review'));
     }
     
     await review.deleteOne();
     
+    // Remove the review's photos and videos from storage
+    await Promise.all(review.media.map(deleteUploadedFile));
+    
     res.status(200).json({
       success: true,
       data: {}
@@ -129,4 +173,330 @@ exports.deleteReview = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Load a published review that the user is allowed to vote on or report
+const findOthersReview = async (req, action) => {
+  const review = await Review.findOne({ _id: req.params.id, ...Review.PUBLISHED });
+  
+  if (!review) {
+    return { error: new NotFoundError('Review not found') };
+  }
+  
+  if (review.user.toString() === req.user.id) {
+    return { error: new BadRequestError(`You cannot ${action} your own review`) };
+  }
+  
+  return { review };
+};
+
+// Store an uploaded review photo or video in Cloudinary (or keep the local file)
+const buildMediaData = async (file) => {
+  const type = file.mimetype.startsWith('video/') ? 'video' : 'image';
+  
+  if (process.env.NODE_ENV === 'production' && process.env.CLOUDINARY_CLOUD_NAME) {
+    const result = await uploadToCloudinary(file.path, {
+      folder: 'ecommerce/reviews',
+      resource_type: type
+    });
+    // Delete local file after upload
+    fs.unlinkSync(file.path);
+    return {
+      type,
+      url: result.secure_url,
+      public_id: result.public_id
+    };
+  }
+  
+  return {
+    type,
+    url: `/uploads/reviews/${file.filename}`
+  };
+};
+
+// Delete uploaded files that won't be kept
+const discardFiles = (files = []) =>
+  Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+// @desc    Add photos and videos to a review
+// @route   POST /api/reviews/:id/media
+// @access  Private (review author)
+exports.uploadReviewMedia = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return next(new BadRequestError('Please upload at least one photo or video'));
+    }
+    
+    const review = await Review.findById(req.params.id);
+    
+    if (!review) {
+      await discardFiles(req.files);
+      return next(new NotFoundError('Review not found'));
+    }
+    
+    if (review.user.toString() !== req.user.id) {
+      await discardFiles(req.files);
+      return next(new ForbiddenError('Not authorized to add media to this review'));
+    }
+    
+    if (review.media.length + req.files.length > Review.MAX_MEDIA) {
+      await discardFiles(req.files);
+      return next(new BadRequestError(`A review can have at most ${Review.MAX_MEDIA} photos and videos`));
+    }
+    
+    const media = await Promise.all(req.files.map(buildMediaData));
+    
+    // Only add the files if there is still room, in case of concurrent uploads
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, [`media.${Review.MAX_MEDIA - media.length}`]: { $exists: false } },
+      { $push: { media: { $each: media } } },
+      { new: true }
+    );
+    
+    if (!updated) {
+      await Promise.all(media.map(deleteUploadedFile));
+      return next(new BadRequestError(`A review can have at most ${Review.MAX_MEDIA} photos and videos`));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: updated.media
+    });
+  } catch (error) {
+    await discardFiles(req.files);
+    next(error);
+  }
+};
+
+// @desc    Remove a photo or video from a review
+// @route   DELETE /api/reviews/:id/media/:mediaId
+// @access  Private (review author)
+exports.removeReviewMedia = async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    
+    if (!review) {
+      return next(new NotFoundError('Review not found'));
+    }
+    
+    if (review.user.toString() !== req.user.id) {
+      return next(new ForbiddenError('Not authorized to remove media from this review'));
+    }
+    
+    const item = review.media.id(req.params.mediaId);
+    
+    if (!item) {
+      return next(new NotFoundError('Media not found'));
+    }
+    
+    await Review.updateOne({ _id: review._id }, { $pull: { media: { _id: item._id } } });
+    await deleteUploadedFile(item);
+    
+    res.status(200).json({
+      success: true,
+      data: review.media.filter(media => !media._id.equals(item._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Vote a review helpful
+// @route   POST /api/reviews/:id/helpful
+// @access  Private
+exports.voteHelpful = async (req, res, next) => {
+  try {
+    const { error } = await findOthersReview(req, 'vote for');
+    
+    if (error) {
+      return next(error);
+    }
+    
+    // Only counts if the user hasn't voted already
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, helpfulVoters: { $ne: req.user._id } },
+      {
+        $push: { helpfulVoters: req.user._id },
+        $inc: { helpfulVotes: 1 }
+      },
+      { new: true }
+    );
+    
+    if (!review) {
+      return next(new ConflictError('You have already voted for this review', { code: 'ALREADY_VOTED' }));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        helpfulVotes: review.helpfulVotes,
+        voted: true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove helpful vote
+// @route   DELETE /api/reviews/:id/helpful
+// @access  Private
+exports.removeHelpfulVote = async (req, res, next) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, helpfulVoters: req.user._id },
+      {
+        $pull: { helpfulVoters: req.user._id },
+        $inc: { helpfulVotes: -1 }
+      },
+      { new: true }
+    );
+    
+    if (!review) {
+      return next(new NotFoundError('You have not voted for this review'));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        helpfulVotes: review.helpfulVotes,
+        voted: false
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report a review
+// @route   POST /api/reviews/:id/report
+// @access  Private
+exports.reportReview = async (req, res, next) => {
+  try {
+    const { error } = await findOthersReview(req, 'report');
+    
+    if (error) {
+      return next(error);
+    }
+    
+    const review = await Review.report(req.params.id, req.user._id, {
+      reason: req.body.reason,
+      details: req.body.details
+    });
+    
+    if (!review) {
+      return next(new ConflictError('You have already reported this review', { code: 'ALREADY_REPORTED' }));
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Thank you, the review has been reported'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get reviews waiting for moderation (pending, hidden or reported)
+// @route   GET /api/reviews/moderation
+// @access  Private/Admin
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : Review.flaggedFilter();
+    
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+    
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+    
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .select('+reports')
+        .populate('user', 'name email')
+        .populate('product', 'name slug')
+        .populate('reports.user', 'name email')
+        .sort(req.query.sort || '-reportCount -createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      Review.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Recalculate product ratings from reviews (one product, or all)
+// @route   POST /api/reviews/ratings/recalculate
+// @access  Private/Admin
+exports.recalculateRatings = async (req, res, next) => {
+  try {
+    if (req.body?.product) {
+      const exists = await Product.exists({ _id: req.body.product });
+      
+      if (!exists) {
+        return next(new NotFoundError('Product not found'));
+      }
+      
+      await Review.calculateAverageRating(req.body.product);
+      
+      const product = await Product.findById(req.body.product)
+        .select('name rating numReviews ratingScore');
+      
+      return res.status(200).json({
+        success: true,
+        data: product
+      });
+    }
+    
+    const count = await Review.recalculateAllRatings();
+    
+    res.status(200).json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set the moderation status of a review (saving updates the product rating)
+const moderateReview = (status) => async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    
+    if (!review) {
+      return next(new NotFoundError('Review not found'));
+    }
+    
+    await review.moderate(status, req.user._id, req.body?.note);
+    
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve review
+// @route   PUT /api/reviews/:id/approve
+// @access  Private/Admin
+exports.approveReview = moderateReview('published');
+
+// @desc    Hide review
+// @route   PUT /api/reviews/:id/hide
+// @access  Private/Admin
+exports.hideReview = moderateReview('hidden');
\ No newline at end of file
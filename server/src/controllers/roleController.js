@@ -0,0 +1,166 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Permissions in the list that the acting user doesn't have. Staff can
+// only grant permissions they hold, so role:manage can't be used to
+// give themselves more access.
+const ungrantable = async (user, permissions = []) => {
+  const granted = await Role.getPermissions(user.role);
+  return [].concat(permissions).filter(permission => !granted.includes(permission));
+};
+
+// @desc    Get all permissions that roles can grant
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+exports.getPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({
+        name,
+        description
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private/Admin
+exports.getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private/Admin
+exports.getRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new NotFoundError('Role not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private/Admin
+exports.createRole = async (req, res, next) => {
+  try {
+    const missing = await ungrantable(req.user, req.body.permissions);
+
+    if (missing.length > 0) {
+      return next(new ForbiddenError(`Not authorized to grant ${missing.join(', ')}`));
+    }
+
+    const role = await Role.create({
+      name: req.body.name,
+      description: req.body.description,
+      permissions: req.body.permissions
+    });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update role description and permissions (names can't change,
+//          as users refer to their role by name)
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+exports.updateRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new NotFoundError('Role not found'));
+    }
+
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+
+    if (req.body.permissions !== undefined) {
+      if (role.name === 'admin') {
+        return next(new BadRequestError('The admin role always has every permission'));
+      }
+
+      const missing = await ungrantable(req.user, req.body.permissions);
+
+      if (missing.length > 0) {
+        return next(new ForbiddenError(`Not authorized to grant ${missing.join(', ')}`));
+      }
+
+      role.permissions = req.body.permissions;
+    }
+
+    await role.save();
+    Role.clearPermissionCache();
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new NotFoundError('Role not found'));
+    }
+
+    if (role.isSystem) {
+      return next(new BadRequestError(`The ${role.name} role can't be deleted`));
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    if (userCount > 0) {
+      return next(new BadRequestError(`Cannot delete role assigned to ${userCount} users. Change their role first.`));
+    }
+
+    await role.deleteOne();
+    Role.clearPermissionCache();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
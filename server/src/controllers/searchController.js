@@ -0,0 +1,92 @@
+const Synonym = require('../models/Synonym');
+const { clearSearchCache } = require('../utils/search');
+const { NotFoundError } = require('../utils/errors');
+
+// @desc    Get synonym groups
+// @route   GET /api/search/synonyms
+// @access  Private/Admin
+exports.getSynonyms = async (req, res, next) => {
+  try {
+    const filter = req.query.term ? { terms: req.query.term.toLowerCase() } : {};
+    const synonyms = await Synonym.find(filter).sort('terms');
+
+    res.status(200).json({
+      success: true,
+      count: synonyms.length,
+      data: synonyms
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create synonym group
+// @route   POST /api/search/synonyms
+// @access  Private/Admin
+exports.createSynonym = async (req, res, next) => {
+  try {
+    const synonym = await Synonym.create({ terms: req.body.terms });
+
+    clearSearchCache();
+
+    res.status(201).json({
+      success: true,
+      data: synonym
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update synonym group
+// @route   PUT /api/search/synonyms/:id
+// @access  Private/Admin
+exports.updateSynonym = async (req, res, next) => {
+  try {
+    const synonym = await Synonym.findByIdAndUpdate(
+      req.params.id,
+      { terms: req.body.terms },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!synonym) {
+      return next(new NotFoundError('Synonym group not found'));
+    }
+
+    clearSearchCache();
+
+    res.status(200).json({
+      success: true,
+      data: synonym
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete synonym group
+// @route   DELETE /api/search/synonyms/:id
+// @access  Private/Admin
+exports.deleteSynonym = async (req, res, next) => {
+  try {
+    const synonym = await Synonym.findById(req.params.id);
+
+    if (!synonym) {
+      return next(new NotFoundError('Synonym group not found'));
+    }
+
+    await synonym.deleteOne();
+
+    clearSearchCache();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
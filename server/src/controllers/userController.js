@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const Lockout = require('../models/Lockout');
+const { queueEmail } = require('../utils/email');
+const { appLink } = require('../utils/links');
+const { escapeRegex } = require('../utils/search');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  createError
+} = require('../utils/errors');
+
+// Minutes a reset link sent by an admin stays valid
+const FORCED_RESET_MINUTES = 24 * 60;
+
+// Whether the acting user has every permission of a role, so staff can't
+// hand out (or take away) more access than they have themselves
+const coversRole = async (actor, roleName) => {
+  const [granted, required] = await Promise.all([
+    Role.getPermissions(actor.role),
+    Role.getPermissions(roleName)
+  ]);
+
+  return required.every(permission => granted.includes(permission));
+};
+
+// Load the user being managed. Returns { user } or { status, error }.
+const findManagedUser = async (req) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return { status: 404, error: 'User not found' };
+  }
+
+  if (!await coversRole(req.user, user.role)) {
+    return { status: 403, error: 'Not authorized to manage this user' };
+  }
+
+  return { user };
+};
+
+// @desc    Get users (search by name or email, filter by role or status)
+// @route   GET /api/users
+// @access  Private/Admin
+exports.getUsers = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(String(req.query.search)), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (req.query.role) {
+      filter.role = String(req.query.role);
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-wishlist')
+        .sort(req.query.sort || '-createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private/Admin
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: String(req.body?.role || '').toLowerCase() });
+
+    if (!role) {
+      return next(new BadRequestError('Please provide a valid role'));
+    }
+
+    // Stops admins from removing their own access by accident
+    if (req.params.id === req.user.id) {
+      return next(new BadRequestError('You cannot change your own role'));
+    }
+
+    if (!await coversRole(req.user, role.name)) {
+      return next(new ForbiddenError(`Not authorized to assign the ${role.name} role`));
+    }
+
+    const managed = await findManagedUser(req);
+
+    if (managed.error) {
+      return next(createError(managed.status, managed.error));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: role.name },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate a user and log them out everywhere
+// @route   PUT /api/users/:id/deactivate
+// @access  Private/Admin
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return next(new BadRequestError('You cannot deactivate your own account'));
+    }
+
+    const managed = await findManagedUser(req);
+
+    if (managed.error) {
+      return next(createError(managed.status, managed.error));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, deactivatedAt: new Date() },
+      { new: true }
+    );
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate a user
+// @route   PUT /api/users/:id/reactivate
+// @access  Private/Admin
+exports.reactivateUser = async (req, res, next) => {
+  try {
+    const managed = await findManagedUser(req);
+
+    if (managed.error) {
+      return next(createError(managed.status, managed.error));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: true, $unset: { deactivatedAt: 1 } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Force a password reset: the current password stops working,
+//          every session is logged out and a reset link is emailed
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private/Admin
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const { user, status, error } = await findManagedUser(req);
+
+    if (error) {
+      return next(createError(status, error));
+    }
+
+    // Replace the password with one nobody knows
+    user.password = crypto.randomBytes(32).toString('hex');
+    const resetToken = user.createPasswordResetToken(FORCED_RESET_MINUTES);
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    await queueEmail(user.email, 'passwordReset', {
+      name: user.name,
+      resetUrl: appLink(`/reset-password/${resetToken}`, `/api/auth/resetpassword/${resetToken}`),
+      expiresInMinutes: FORCED_RESET_MINUTES
+    }, { sensitive: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get failed attempt counters and lockouts
+//          (?locked=true for active lockouts only, ?identifier= to search)
+// @route   GET /api/users/lockouts
+// @access  Private/Admin
+exports.getLockouts = async (req, res, next) => {
+  try {
+    const filter = {};
+
+    if (req.query.locked === 'true') {
+      filter.lockedUntil = { $gt: new Date() };
+    }
+
+    if (req.query.identifier) {
+      filter.identifier = String(req.query.identifier).toLowerCase();
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const [lockouts, total] = await Promise.all([
+      Lockout.find(filter)
+        .sort('-updatedAt')
+        .skip(startIndex)
+        .limit(limit),
+      Lockout.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: lockouts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: lockouts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear a lockout and its failed attempts
+// @route   DELETE /api/users/lockouts/:id
+// @access  Private/Admin
+exports.clearLockout = async (req, res, next) => {
+  try {
+    const lockout = await Lockout.findByIdAndDelete(req.params.id);
+
+    if (!lockout) {
+      return next(new NotFoundError('Lockout not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,266 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+const { roundPrice } = require('../utils/pricing');
+const { apiLink } = require('../utils/links');
+const crypto = require('crypto');
+const { NotFoundError } = require('../utils/errors');
+
+// Load the wishlist products, reporting deleted or deactivated ones as unavailable
+const buildWishlist = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name price discount images stock isActive variants');
+
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  return productIds.map(productId => {
+    const product = productMap.get(productId.toString());
+
+    if (!product || !product.isActive) {
+      return {
+        product: productId,
+        available: false,
+        message: 'Product is no longer available'
+      };
+    }
+
+    // Products with variants are priced per variant, so show the range
+    const { priceRange } = product;
+
+    return {
+      product: {
+        _id: product._id,
+        name: product.name,
+        price: product.price,
+        finalPrice: roundPrice(product.finalPrice),
+        priceRange: priceRange && {
+          min: roundPrice(priceRange.min),
+          max: roundPrice(priceRange.max)
+        },
+        hasVariants: Boolean(priceRange),
+        image: product.images.length > 0 ? product.images[0] : null
+      },
+      available: true,
+      inStock: product.stock > 0,
+      stock: product.stock
+    };
+  });
+};
+
+// Check the product exists and can be added to a wishlist
+const findActiveProduct = (productId) => Product.findOne({ _id: productId, isActive: true });
+
+// @desc    Get wishlist
+// @route   GET /api/wishlist
+// @access  Private
+exports.getWishlist = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('wishlist');
+    const items = await buildWishlist(user.wishlist);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add product to wishlist
+// @route   POST /api/wishlist/:productId
+// @access  Private
+exports.addToWishlist = async (req, res, next) => {
+  try {
+    const product = await findActiveProduct(req.params.productId);
+
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $addToSet: { wishlist: product._id } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user.wishlist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove product from wishlist
+// @route   DELETE /api/wishlist/:productId
+// @access  Private
+exports.removeFromWishlist = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $pull: { wishlist: req.params.productId } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: user.wishlist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add product to wishlist, or remove it if already there
+// @route   POST /api/wishlist/:productId/toggle
+// @access  Private
+exports.toggleWishlist = async (req, res, next) => {
+  try {
+    // Only remove if the product is in the wishlist
+    let user = await User.findOneAndUpdate(
+      { _id: req.user.id, wishlist: req.params.productId },
+      { $pull: { wishlist: req.params.productId } },
+      { new: true }
+    );
+
+    if (user) {
+      return res.status(200).json({
+        success: true,
+        inWishlist: false,
+        data: user.wishlist
+      });
+    }
+
+    const product = await findActiveProduct(req.params.productId);
+
+    if (!product) {
+      return next(new NotFoundError('Product not found'));
+    }
+
+    user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $addToSet: { wishlist: product._id } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      inWishlist: true,
+      data: user.wishlist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get wishlist items ready to be added to the cart
+// @route   GET /api/wishlist/cart-items
+// @access  Private
+exports.getCartReadyItems = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('wishlist');
+    const items = await buildWishlist(user.wishlist);
+
+    const inStock = items.filter(item => item.available && item.inStock);
+
+    // Wishlist entries don't record a variant, so products with variants
+    // need the shopper to pick one before they can go in the cart
+    const cartItems = inStock
+      .filter(item => !item.product.hasVariants)
+      .map(item => ({ productId: item.product._id, quantity: 1 }));
+
+    const needsVariant = inStock
+      .filter(item => item.product.hasVariants)
+      .map(item => item.product._id);
+
+    const unavailable = items
+      .filter(item => !item.available || !item.inStock)
+      .map(item => item.available ? item.product._id : item.product);
+
+    res.status(200).json({
+      success: true,
+      count: cartItems.length,
+      data: cartItems,
+      needsVariant,
+      unavailable
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a public share link for the wishlist
+// @route   POST /api/wishlist/share
+// @access  Private
+exports.shareWishlist = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('wishlistShareToken');
+    let token = user.wishlistShareToken;
+
+    // The token isn't selected by default, so keep the generated one
+    // rather than reading it back from the update
+    if (!token) {
+      token = crypto.randomBytes(16).toString('hex');
+      await User.findByIdAndUpdate(req.user.id, { wishlistShareToken: token });
+    }
+
+    const shareUrl = apiLink(`/api/wishlist/shared/${token}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        shareUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable the public share link
+// @route   DELETE /api/wishlist/share
+// @access  Private
+exports.unshareWishlist = async (req, res, next) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $unset: { wishlistShareToken: 1 }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a shared wishlist (read-only)
+// @route   GET /api/wishlist/shared/:token
+// @access  Public
+exports.getSharedWishlist = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ wishlistShareToken: req.params.token })
+      .select('name wishlist');
+
+    if (!user) {
+      return next(new NotFoundError('Wishlist not found'));
+    }
+
+    const items = await buildWishlist(user.wishlist);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        owner: user.name,
+        count: items.length,
+        items
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -1,5 +1,27 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+// { user, sessionId } for an access token, or null when the token is
+// invalid, its session has been logged out, the user is deactivated or
+// the password changed after it was issued
+const getSession = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid || !await RefreshToken.isSessionActive(decoded.sid)) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 const protect = async (req, res, next) => {
   let token;
@@ -9,34 +31,77 @@ const protect = async (req, res, next) => {
   }
 
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized to access this route'
-    });
+    return next(new AuthenticationError('Not authorized to access this route'));
   }
 
+  let session;
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
-    next();
+    session = await getSession(token);
   } catch (error) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized to access this route'
-    });
+    session = null;
+  }
+
+  if (!session) {
+    return next(new AuthenticationError('Not authorized to access this route'));
   }
+
+  req.user = session.user;
+  // Session the request was made with (used to log out this device)
+  req.sessionId = session.sessionId;
+  next();
 };
 
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: `User role ${req.user.role} is not authorized to access this route`
-      });
+// Attach the user if a valid token is sent, but never reject the request
+const optionalAuth = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const session = await getSession(req.headers.authorization.split(' ')[1]);
+      req.user = session ? session.user : undefined;
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
+// Whether a user's role grants a permission
+const hasPermission = async (user, permission) => {
+  const permissions = await Role.getPermissions(user.role);
+  return permissions.includes(permission);
+};
+
+// Only allow users whose role has all of the given permissions (after protect)
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = await Role.getPermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return next(new ForbiddenError(`Missing permission ${missing.join(', ')} to access this route`));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
     }
-    next();
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+// Only allow users who have verified their email address (after protect)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return next(new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' }));
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  hasPermission,
+  requirePermission,
+  requireVerifiedEmail
+};
\ No newline at end of file
@@ -1,41 +1,107 @@
-const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  ConflictError
+} = require('../utils/errors');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Multer error codes mapped to our messages and codes
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: ['File size too large', 'FILE_TOO_LARGE'],
+  LIMIT_FILE_COUNT: ['Too many files in upload', 'TOO_MANY_FILES'],
+  LIMIT_UNEXPECTED_FILE: ['Unexpected field in file upload', 'UNEXPECTED_FILE']
+};
 
-  // Log to console for dev
-  console.log(err);
+// Turn errors from Mongoose, MongoDB, Multer and Express into AppErrors
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // Mongoose validation error
+  if (err.name === 'ValidationError' && err.errors) {
+    const details = Object.values(err.errors).map(fieldError => ({
+      field: fieldError.path,
+      message: fieldError.message
+    }));
 
-  // Mongoose bad ObjectId
+    return new ValidationError(details.map(detail => detail.message).join(', '), { details });
+  }
+
+  // Value that doesn't fit the schema type, e.g. a malformed id
   if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = { message, statusCode: 404 };
+    const message = `Invalid value for ${err.path}`;
+
+    return new ValidationError(message, {
+      code: 'INVALID_VALUE',
+      details: [{ field: err.path, message }]
+    });
   }
 
-  // Mongoose duplicate key
+  // MongoDB duplicate key
   if (err.code === 11000) {
-    const message = 'Duplicate field value entered';
-    error = { message, statusCode: 400 };
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+
+    return new ConflictError(
+      fields.length > 0 ? `Duplicate value for ${fields.join(', ')}` : 'Duplicate value',
+      {
+        code: 'DUPLICATE_KEY',
+        details: fields.map(field => ({ field, message: `${field} is already in use` }))
+      }
+    );
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const message = Object.values(err.errors).map(val => val.message).join(', ');
-    error = { message, statusCode: 400 };
+  if (err.name === 'MulterError') {
+    const [message, code] = UPLOAD_ERRORS[err.code] || [err.message, 'UPLOAD_FAILED'];
+
+    return new BadRequestError(message, {
+      code,
+      details: err.field ? [{ field: err.field, message }] : undefined
+    });
   }
 
-  // Multer errors
-  if (err.code === 'LIMIT_FILE_SIZE') {
-    error = { message: 'File size too large. Maximum size is 5MB', statusCode: 400 };
+  // Request body errors from express.json (malformed JSON, too large...)
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.type === 'entity.parse.failed' ? 'Malformed JSON in request body' : err.message, {
+      statusCode: err.status,
+      code: err.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'BAD_REQUEST'
+    });
   }
 
-  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-    error = { message: 'Unexpected field in file upload', statusCode: 400 };
+  return new AppError(isProduction ? 'Server Error' : err.message || 'Server Error');
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  // Client errors are reported in the response; only log our own failures
+  if (error.statusCode >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err.stack || err);
+  }
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
   }
 
-  res.status(error.statusCode || 500).json({
+  const body = {
     success: false,
-    error: error.message || 'Server Error'
-  });
+    error: error.message,
+    code: error.code
+  };
+
+  if (error.details) {
+    body.details = error.details;
+  }
+
+  body.requestId = req.id;
+
+  if (!isProduction) {
+    body.stack = err.stack;
+  }
+
+  res.status(error.statusCode).json(body);
 };
 
 module.exports = errorHandler;
\ No newline at end of file
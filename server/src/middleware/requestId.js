@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Ids passed on by a proxy are kept if they look like an id
+const VALID_ID = /^[\w.-]{1,100}$/;
+
+// Give each request an id, returned in the X-Request-Id header and in
+// error responses so a failure can be matched up with the server logs
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
+module.exports = requestId;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { BadRequestError } = require('../utils/errors');
 
 // Ensure uploads directory exists
 const uploadDir = 'uploads/products';
@@ -28,7 +29,7 @@ const fileFilter = (req, file, cb) => {
   if (mimetype && extname) {
     return cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'));
+    cb(new BadRequestError('Only image files are allowed!', { code: 'INVALID_FILE_TYPE' }));
   }
 };
 
@@ -38,6 +39,40 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Review photos and videos
+const reviewUploadDir = 'uploads/reviews';
+if (!fs.existsSync(reviewUploadDir)) {
+  fs.mkdirSync(reviewUploadDir, { recursive: true });
+}
+
+const reviewStorage = multer.diskStorage({
+  destination: function(req, file, cb) {
+    cb(null, reviewUploadDir);
+  },
+  filename: function(req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'review-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+const reviewFileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|gif|webp|mp4|webm|mov|quicktime/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = /^(image|video)\//.test(file.mimetype) && allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new BadRequestError('Only image and video files are allowed!', { code: 'INVALID_FILE_TYPE' }));
+  }
+};
+
+const reviewUpload = multer({
+  storage: reviewStorage,
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit, for videos
+  fileFilter: reviewFileFilter
+});
+
 // For Cloudinary integration (optional but recommended for production)
 const cloudinary = require('cloudinary').v2;
 
@@ -47,10 +82,11 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-const uploadToCloudinary = async (filePath) => {
+const uploadToCloudinary = async (filePath, options = {}) => {
   try {
     const result = await cloudinary.uploader.upload(filePath, {
-      folder: 'ecommerce/products'
+      folder: 'ecommerce/products',
+      ...options
     });
     return result;
   } catch (error) {
@@ -58,4 +94,28 @@ const uploadToCloudinary = async (filePath) => {
   }
 };
 
-module.exports = { upload, uploadToCloudinary };
\ No newline at end of file
+// Remove a stored file ({ url, public_id, type }) from Cloudinary or the
+// local uploads directory. Failures are logged rather than thrown, so a
+// missing file doesn't stop the record that pointed to it being deleted.
+const deleteUploadedFile = async (file) => {
+  try {
+    if (file.public_id) {
+      await cloudinary.uploader.destroy(file.public_id, {
+        resource_type: file.type === 'video' ? 'video' : 'image'
+      });
+    } else if (file.url && file.url.startsWith('/uploads/')) {
+      const uploadsRoot = path.resolve('uploads');
+      const filePath = path.resolve(uploadsRoot, file.url.slice('/uploads/'.length));
+
+      if (filePath.startsWith(uploadsRoot + path.sep)) {
+        await fs.promises.unlink(filePath);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to delete uploaded file ${file.url}:`, error.message);
+    }
+  }
+};
+
+module.exports = { upload, reviewUpload, uploadToCloudinary, deleteUploadedFile };
\ No newline at end of file
@@ -1,69 +1,597 @@
 const Joi = require('joi');
+const Order = require('../models/Order');
+const Role = require('../models/Role');
+const { REPORT_REASONS } = require('../utils/moderation');
+const { ValidationError } = require('../utils/errors');
 
-// Product validation
-exports.productValidation = (data) => {
-  const schema = Joi.object({
-    name: Joi.string().required().min(3).max(200),
-    description: Joi.string().required().min(10),
-    price: Joi.number().required().min(0),
-    category: Joi.string().required(),
-    stock: Joi.number().required().min(0),
-    sku: Joi.string(),
-    brand: Joi.string(),
-    features: Joi.array().items(
-      Joi.object({
-        name: Joi.string().required(),
-        value: Joi.string().required()
-      })
-    ),
-    isActive: Joi.boolean()
-  });
-  
-  return schema.validate(data);
+// Report every problem at once, drop fields the schema doesn't know and
+// convert strings to numbers, dates and booleans where the schema says so
+const OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  errors: { wrap: { label: false } }
 };
 
-// Category validation
-exports.categoryValidation = (data) => {
-  const schema = Joi.object({
-    name: Joi.string().required().min(2).max(100),
-    description: Joi.string().max(500),
-    parentCategory: Joi.string().allow(null),
-    isActive: Joi.boolean()
-  });
-  
-  return schema.validate(data);
+// Validate the params, query and body of a request against Joi schemas.
+// The validated values replace the originals, so handlers only see known
+// fields. Failures are a ValidationError with the problem for each field.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    const { value, error } = schemas[location].validate(req[location] || {}, OPTIONS);
+
+    if (error) {
+      details.push(...error.details.map(detail => ({
+        location,
+        field: detail.path.join('.'),
+        message: detail.message
+      })));
+    } else if (location === 'query') {
+      // req.query is a getter in Express 5, so it can't be assigned
+      Object.defineProperty(req, 'query', {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true
+      });
+    } else {
+      req[location] = value;
+    }
+  }
+
+  if (details.length > 0) {
+    return next(new ValidationError(details.map(detail => detail.message).join(', '), { details }));
+  }
+
+  next();
 };
 
-// User registration validation
-exports.registerValidation = (data) => {
-  const schema = Joi.object({
-    name: Joi.string().required().min(2).max(50),
-    email: Joi.string().required().email(),
-    password: Joi.string().required().min(6),
-    role: Joi.string().valid('user', 'admin')
-  });
-  
-  return schema.validate(data);
+// Shared pieces
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/, 'id')
+  .messages({ 'string.pattern.name': '{{#label}} must be a valid id' });
+
+const queryBoolean = Joi.string().valid('true', 'false');
+
+const pagination = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+  sort: Joi.string().max(100)
 };
 
-// User login validation
-exports.loginValidation = (data) => {
-  const schema = Joi.object({
-    email: Joi.string().required().email(),
-    password: Joi.string().required()
-  });
-  
-  return schema.validate(data);
+const idParams = Joi.object({ id: objectId.required() });
+
+const email = Joi.string().trim().lowercase().email({ tlds: { allow: false } });
+
+const password = Joi.string().min(6).max(128);
+
+const image = Joi.object({
+  url: Joi.string().required(),
+  public_id: Joi.string(),
+  alt: Joi.string().max(200)
+});
+
+const address = Joi.object({
+  street: Joi.string().trim().max(200),
+  city: Joi.string().trim().max(100),
+  state: Joi.string().trim().max(100),
+  zipCode: Joi.string().trim().max(20),
+  country: Joi.string().trim().max(100)
+});
+
+const items = Joi.array().min(1).max(100).items(Joi.object({
+  productId: objectId.required(),
+  variantId: objectId,
+  quantity: Joi.number().integer().min(1).required()
+}));
+
+const couponCodes = Joi.alternatives().try(
+  Joi.array().items(Joi.string().trim().max(50)).max(10),
+  Joi.string().trim().max(50)
+);
+
+// Make the given keys of an object schema optional and require at least
+// one field, for partial updates
+const partial = (schema, keys) => schema
+  .fork(keys, key => key.optional())
+  .min(1)
+  .messages({ 'object.min': 'Please provide at least one field to update' });
+
+// Products
+const variant = Joi.object({
+  _id: objectId,
+  sku: Joi.string().trim().max(100),
+  options: Joi.object().pattern(Joi.string(), Joi.string().max(100)).min(1).required(),
+  price: Joi.number().min(0),
+  stock: Joi.number().integer().min(0),
+  images: Joi.array().items(image),
+  isActive: Joi.boolean()
+});
+
+const productBody = Joi.object({
+  name: Joi.string().trim().min(3).max(200).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/, 'slug').max(200),
+  description: Joi.string().min(10).required(),
+  price: Joi.number().min(0).required(),
+  category: objectId.required(),
+  stock: Joi.number().integer().min(0),
+  sku: Joi.string().trim().max(100),
+  brand: Joi.string().trim().max(100),
+  images: Joi.array().items(image),
+  options: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(50).required(),
+    values: Joi.array().items(Joi.string().trim().max(100))
+  })),
+  variants: Joi.array().items(variant),
+  features: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    value: Joi.string().required()
+  })),
+  specifications: Joi.object().pattern(Joi.string(), Joi.string().max(200)),
+  discount: Joi.object({
+    percentage: Joi.number().min(0).max(100),
+    salePrice: Joi.number().min(0).allow(null),
+    startsAt: Joi.date().allow(null),
+    endsAt: Joi.date().allow(null)
+  }),
+  isActive: Joi.boolean()
+});
+
+// Listing filters: a number or a range such as ?price[gte]=10&price[lt]=100
+const rangeFilter = Joi.alternatives().try(
+  Joi.number(),
+  Joi.object({
+    gt: Joi.number(),
+    gte: Joi.number(),
+    lt: Joi.number(),
+    lte: Joi.number()
+  }).min(1)
+);
+
+// A value, or a list of values such as ?brand[in]=Acme&brand[in]=Globex
+const valueFilter = Joi.alternatives().try(
+  Joi.string().max(200),
+  Joi.object({
+    in: Joi.array().items(Joi.string().max(200)).single().max(50).required()
+  })
+);
+
+exports.productSchemas = {
+  list: {
+    query: Joi.object({
+      ...pagination,
+      select: Joi.string().max(200),
+      search: Joi.string().trim().max(200),
+      inStock: queryBoolean,
+      facets: queryBoolean,
+      sku: Joi.string().max(100),
+      category: Joi.string().max(200),
+      brand: valueFilter,
+      price: rangeFilter,
+      stock: rangeFilter,
+      rating: rangeFilter,
+      numReviews: rangeFilter
+    })
+      // Specification and variant option filters, e.g. ?variant.size=M
+      .pattern(/^(specifications|variant)\.[^.$]+$/, valueFilter)
+      // Never pass query operators through
+      .pattern(/^\$/, Joi.forbidden())
+  },
+  suggest: {
+    query: Joi.object({
+      q: Joi.string().trim().allow('').max(100),
+      limit: Joi.number().integer().min(1).max(20)
+    })
+  },
+  get: { params: idParams },
+  getBySlug: { params: Joi.object({ slug: Joi.string().max(200).required() }) },
+  create: { body: productBody },
+  update: {
+    params: idParams,
+    body: partial(productBody, ['name', 'description', 'price', 'category'])
+  },
+  delete: { params: idParams },
+  uploadImages: {
+    params: idParams,
+    body: Joi.object({ alt: Joi.string().max(200) })
+  },
+  uploadVariantImages: {
+    params: Joi.object({ id: objectId.required(), variantId: objectId.required() }),
+    body: Joi.object({ alt: Joi.string().max(200) })
+  },
+  updateStock: {
+    params: idParams,
+    body: Joi.object({
+      quantity: Joi.number().integer().min(0).required(),
+      operation: Joi.string().valid('add', 'subtract', 'set').required(),
+      variantId: objectId
+    })
+  },
+  scheduleSale: {
+    body: Joi.object({
+      category: objectId,
+      brand: Joi.string().trim().max(100),
+      percentage: Joi.number().min(0).max(100).required(),
+      startsAt: Joi.date(),
+      endsAt: Joi.date().greater(Joi.ref('startsAt'))
+    }).or('category', 'brand').messages({ 'object.missing': 'Please provide a category or brand' })
+  },
+  listSales: {
+    query: Joi.object({
+      ...pagination,
+      status: Joi.string().valid('upcoming', 'active', 'expired'),
+      category: objectId,
+      brand: Joi.string().max(100)
+    })
+  }
+};
+
+// Categories
+const categoryBody = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/, 'slug').max(200),
+  description: Joi.string().trim().max(500).allow(''),
+  parentCategory: objectId.allow(null),
+  isActive: Joi.boolean()
+});
+
+exports.categorySchemas = {
+  get: {
+    params: idParams,
+    query: Joi.object({
+      ...pagination,
+      includeSubcategories: queryBoolean
+    })
+  },
+  getBySlug: { params: Joi.object({ slug: Joi.string().max(200).required() }) },
+  create: { body: categoryBody },
+  update: {
+    params: idParams,
+    body: partial(categoryBody, ['name'])
+  },
+  move: {
+    params: idParams,
+    body: Joi.object({ parentCategory: objectId.allow(null).required() })
+  },
+  delete: { params: idParams },
+  uploadImage: { params: idParams }
+};
+
+// Authentication
+exports.authSchemas = {
+  register: {
+    body: Joi.object({
+      name: Joi.string().trim().min(2).max(50).required(),
+      email: email.required(),
+      password: password.required()
+    })
+  },
+  login: {
+    body: Joi.object({
+      email: email.required(),
+      password: Joi.string().max(128).required(),
+      cartToken: Joi.string().max(100)
+    })
+  },
+  updateDetails: {
+    body: Joi.object({
+      name: Joi.string().trim().min(2).max(50),
+      email
+    }).min(1)
+  },
+  updatePassword: {
+    body: Joi.object({
+      currentPassword: Joi.string().max(128).required(),
+      newPassword: password.required()
+    })
+  },
+  forgotPassword: {
+    body: Joi.object({ email: email.required() })
+  },
+  resetPassword: {
+    params: Joi.object({ resettoken: Joi.string().hex().max(100).required() }),
+    body: Joi.object({ password: password.required() })
+  },
+  refresh: {
+    body: Joi.object({ refreshToken: Joi.string().max(200).required() })
+  },
+  verifyEmail: {
+    params: Joi.object({ token: Joi.string().max(1000).required() })
+  }
+};
+
+// Reporting and moderating user content (reviews, questions, answers)
+const reportBody = Joi.object({
+  reason: Joi.string().valid(...REPORT_REASONS).required(),
+  details: Joi.string().trim().max(500)
+});
+
+const moderationQueue = Joi.object({
+  ...pagination,
+  status: Joi.string().valid('published', 'pending', 'hidden'),
+  product: objectId
+});
+
+const moderationBody = Joi.object({ note: Joi.string().trim().max(500) });
+
+// Reviews
+const reviewBody = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().max(100),
+  comment: Joi.string().trim().min(10).max(1000).required()
+});
+
+exports.reviewSchemas = {
+  list: {
+    params: Joi.object({ productId: objectId.required() }),
+    query: Joi.object({
+      page: pagination.page,
+      limit: pagination.limit,
+      sort: Joi.string().valid('newest', 'oldest', 'highest', 'lowest', 'helpful'),
+      // ?rating=5 or ?rating=4&rating=5
+      rating: Joi.array().items(Joi.number().integer().min(1).max(5)).single(),
+      verified: queryBoolean,
+      withPhotos: queryBoolean
+    })
+  },
+  create: {
+    params: Joi.object({ productId: objectId.required() }),
+    body: reviewBody
+  },
+  update: {
+    params: idParams,
+    body: partial(reviewBody, ['rating', 'comment'])
+  },
+  delete: { params: idParams },
+  uploadMedia: { params: idParams },
+  removeMedia: {
+    params: Joi.object({ id: objectId.required(), mediaId: objectId.required() })
+  },
+  vote: { params: idParams },
+  report: { params: idParams, body: reportBody },
+  moderationQueue: { query: moderationQueue },
+  moderate: { params: idParams, body: moderationBody },
+  recalculateRatings: {
+    body: Joi.object({ product: objectId })
+  }
+};
+
+// Product questions and answers
+const questionText = Joi.string().trim().min(10).max(500);
+const answerText = Joi.string().trim().min(2).max(2000);
+
+exports.questionSchemas = {
+  list: {
+    params: Joi.object({ productId: objectId.required() }),
+    query: Joi.object({
+      page: pagination.page,
+      limit: pagination.limit,
+      sort: Joi.string().valid('newest', 'oldest', 'answers'),
+      answered: queryBoolean,
+      search: Joi.string().trim().max(100)
+    })
+  },
+  ask: {
+    params: Joi.object({ productId: objectId.required() }),
+    body: Joi.object({ text: questionText.required() })
+  },
+  update: {
+    params: idParams,
+    body: Joi.object({ text: questionText.required() })
+  },
+  delete: { params: idParams },
+  listAnswers: {
+    params: idParams,
+    query: Joi.object({
+      page: pagination.page,
+      limit: pagination.limit
+    })
+  },
+  answer: {
+    params: idParams,
+    body: Joi.object({
+      text: answerText.required(),
+      isOfficial: Joi.boolean()
+    })
+  },
+  updateAnswer: {
+    params: idParams,
+    body: Joi.object({ text: answerText.required() })
+  },
+  deleteAnswer: { params: idParams },
+  markOfficial: {
+    params: idParams,
+    body: Joi.object({ isOfficial: Joi.boolean().required() })
+  },
+  vote: { params: idParams },
+  report: { params: idParams, body: reportBody },
+  moderationQueue: { query: moderationQueue },
+  moderate: { params: idParams, body: moderationBody }
+};
+
+// Cart
+const cartToken = Joi.string().max(100);
+const cartItemParams = Joi.object({ productId: objectId.required() });
+
+exports.cartSchemas = {
+  addItem: {
+    body: Joi.object({
+      productId: objectId.required(),
+      variantId: objectId,
+      quantity: Joi.number().integer().min(1),
+      cartToken
+    })
+  },
+  updateItem: {
+    params: cartItemParams,
+    query: Joi.object({ variantId: objectId }),
+    body: Joi.object({
+      quantity: Joi.number().integer().min(0).required(),
+      cartToken
+    })
+  },
+  removeItem: {
+    params: cartItemParams,
+    query: Joi.object({ variantId: objectId })
+  },
+  merge: {
+    body: Joi.object({ cartToken })
+  }
+};
+
+// Orders
+const orderStatus = Joi.string().valid(...Object.keys(Order.STATUS_TRANSITIONS));
+
+exports.orderSchemas = {
+  create: {
+    body: Joi.object({
+      items,
+      couponCodes,
+      couponCode: Joi.string().trim().max(50),
+      shippingAddress: address
+    })
+  },
+  listMine: {
+    query: Joi.object(pagination)
+  },
+  list: {
+    query: Joi.object({
+      ...pagination,
+      status: orderStatus,
+      user: objectId
+    })
+  },
+  get: { params: idParams },
+  updateStatus: {
+    params: idParams,
+    body: Joi.object({
+      status: orderStatus.required(),
+      note: Joi.string().trim().max(500)
+    })
+  },
+  cancel: {
+    params: idParams,
+    body: Joi.object({ reason: Joi.string().trim().max(500) })
+  }
+};
+
+// Coupons
+const couponBody = Joi.object({
+  code: Joi.string().trim().uppercase().max(50).required(),
+  description: Joi.string().trim().max(500).allow(''),
+  type: Joi.string().valid('percentage', 'fixed').required(),
+  value: Joi.number().min(0).required(),
+  maxDiscount: Joi.number().min(0).allow(null),
+  products: Joi.array().items(objectId),
+  categories: Joi.array().items(objectId),
+  brands: Joi.array().items(Joi.string().trim().max(100)),
+  minSpend: Joi.number().min(0),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  usageLimitPerUser: Joi.number().integer().min(1).allow(null),
+  startsAt: Joi.date().allow(null),
+  endsAt: Joi.date().allow(null),
+  stackable: Joi.boolean(),
+  applyToSaleItems: Joi.boolean(),
+  isActive: Joi.boolean()
+});
+
+exports.couponSchemas = {
+  validate: {
+    body: Joi.object({
+      couponCodes,
+      couponCode: Joi.string().trim().max(50),
+      items: items.required()
+    }).or('couponCodes', 'couponCode').messages({ 'object.missing': 'Please provide a coupon code' })
+  },
+  list: {
+    query: Joi.object({
+      ...pagination,
+      isActive: queryBoolean
+    })
+  },
+  get: { params: idParams },
+  create: { body: couponBody },
+  update: {
+    params: idParams,
+    body: partial(couponBody, ['code', 'type', 'value'])
+  },
+  delete: { params: idParams }
+};
+
+// Search synonyms
+const synonymBody = Joi.object({
+  terms: Joi.array().items(Joi.string().trim().lowercase().min(1).max(100)).min(2).required()
+});
+
+exports.searchSchemas = {
+  listSynonyms: {
+    query: Joi.object({ term: Joi.string().trim().max(100) })
+  },
+  createSynonym: { body: synonymBody },
+  updateSynonym: { params: idParams, body: synonymBody },
+  deleteSynonym: { params: idParams }
+};
+
+// Wishlist
+const wishlistParams = Joi.object({ productId: objectId.required() });
+
+exports.wishlistSchemas = {
+  item: { params: wishlistParams },
+  shared: { params: Joi.object({ token: Joi.string().max(100).required() }) }
+};
+
+// Users
+exports.userSchemas = {
+  list: {
+    query: Joi.object({
+      ...pagination,
+      search: Joi.string().trim().max(100),
+      role: Joi.string().trim().lowercase().max(50),
+      isActive: queryBoolean
+    })
+  },
+  get: { params: idParams },
+  updateRole: {
+    params: idParams,
+    body: Joi.object({ role: Joi.string().trim().lowercase().max(50).required() })
+  },
+  manage: { params: idParams },
+  listLockouts: {
+    query: Joi.object({
+      ...pagination,
+      locked: queryBoolean,
+      identifier: Joi.string().trim().max(200)
+    })
+  },
+  clearLockout: { params: idParams }
+};
+
+// Roles
+const permissions = Joi.array()
+  .items(Joi.string().valid(...Object.keys(Role.PERMISSIONS)))
+  .unique();
+
+exports.roleSchemas = {
+  get: { params: idParams },
+  create: {
+    body: Joi.object({
+      name: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/, 'role name').max(50).required(),
+      description: Joi.string().trim().max(200).allow(''),
+      permissions
+    })
+  },
+  update: {
+    params: idParams,
+    body: Joi.object({
+      description: Joi.string().trim().max(200).allow(''),
+      permissions
+    }).min(1)
+  },
+  delete: { params: idParams }
 };
 
-// Review validation
-exports.reviewValidation = (data) => {
-  const schema = Joi.object({
-    rating: Joi.number().required().min(1).max(5),
-    title: Joi.string().max(100),
-    comment: Joi.string().required().min(10).max(1000),
-    isVerifiedPurchase: Joi.boolean()
-  });
-  
-  return schema.validate(data);
-};
\ No newline at end of file
+exports.validate = validate;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { moderationPlugin } = require('../utils/moderation');
+
+// An answer to a product question, from staff or another customer
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: [true, 'Answer must belong to a question']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Answer must belong to a product']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Answer must belong to a user']
+  },
+  text: {
+    type: String,
+    required: [true, 'Answer text is required'],
+    trim: true,
+    maxlength: [2000, 'Answer cannot exceed 2000 characters']
+  },
+  // Answered on behalf of the store
+  isOfficial: {
+    type: Boolean,
+    default: false
+  },
+  helpfulVotes: {
+    type: Number,
+    default: 0
+  },
+  // Users who voted the answer helpful (one vote each)
+  helpfulVoters: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Status, reports and moderation. Only published answers are shown.
+answerSchema.plugin(moderationPlugin, {
+  reportThreshold: parseInt(process.env.QA_REPORT_THRESHOLD, 10) || 3
+});
+
+// Official answers first, then the most helpful
+answerSchema.index({ question: 1, isOfficial: -1, helpfulVotes: -1 });
+
+// Keep the answer count of the question up to date
+answerSchema.post('save', async function() {
+  await mongoose.model('Question').updateAnswerCount(this.question);
+});
+
+answerSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await mongoose.model('Question').updateAnswerCount(this.question);
+});
+
+// Automatic hiding after reports
+answerSchema.post('findOneAndUpdate', async function(answer) {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys({ ...update, ...update.$set });
+
+  if (answer && fields.includes('status')) {
+    await mongoose.model('Question').updateAnswerCount(answer.question);
+  }
+});
+
+module.exports = mongoose.model('Answer', answerSchema);
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Cart item must reference a product']
+  },
+  // Set when the product has variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  }
+}, {
+  timestamps: { createdAt: 'addedAt', updatedAt: false }
+});
+
+const cartSchema = new mongoose.Schema({
+  // Set for carts owned by a logged in user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Anonymous cart token for guest carts
+  token: {
+    type: String
+  },
+  items: [cartItemSchema],
+  // Guest carts are removed automatically once they expire
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ token: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Find the line for a product and variant (or undefined)
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    item.product.toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+// Get a user's cart, creating it if needed. The upsert is atomic, so
+// concurrent first requests share one cart instead of racing on the index.
+cartSchema.statics.findOrCreateForUser = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+// Merge a guest cart into a user's cart and delete the guest cart.
+// Lines for products (or variants) that are no longer available are
+// dropped, and quantities are capped at the stock left.
+cartSchema.statics.mergeGuestCart = async function(token, userId) {
+  const guestCart = await this.findOne({ token });
+
+  if (!guestCart) {
+    return this.findOne({ user: userId });
+  }
+
+  const cart = await this.findOrCreateForUser(userId);
+
+  const products = await mongoose.model('Product').find({
+    _id: { $in: guestCart.items.map(item => item.product) },
+    isActive: true
+  }).select('stock isActive variants');
+
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  for (const guestItem of guestCart.items) {
+    const product = productMap.get(guestItem.product.toString());
+    if (!product) continue;
+
+    // Lines for products with variants must point at an active variant
+    const variant = product.findVariant(guestItem.variant);
+    if (guestItem.variant ? !variant : product.variants.length > 0) continue;
+
+    const { stock } = variant || product;
+    const existing = cart.findItem(guestItem.product, guestItem.variant);
+    const quantity = Math.min((existing ? existing.quantity : 0) + guestItem.quantity, stock);
+
+    if (existing) {
+      existing.quantity = Math.max(quantity, existing.quantity);
+    } else if (quantity > 0) {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        quantity
+      });
+    }
+  }
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { slugPlugin } = require('../utils/slug');
+
+// Number of levels allowed in the category tree (top level is depth 0)
+const MAX_DEPTH = parseInt(process.env.CATEGORY_MAX_DEPTH, 10) || 5;
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -21,6 +25,15 @@ const categorySchema = new mongoose.Schema({
     ref: 'Category',
     default: null
   },
+  // Path from the top-level category down to the parent
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
   image: {
     url: String,
     public_id: String
@@ -33,12 +46,220 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate slug before saving
-categorySchema.pre('save', function(next) {
-  if (!this.slug) {
-    this.slug = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+// Generate slug from the name, keeping old slugs after a rename
+categorySchema.plugin(slugPlugin);
+
+categorySchema.index({ ancestors: 1 });
+
+// Set the ancestor path of new categories from their parent
+categorySchema.pre('validate', async function() {
+  if (!this.isNew) return;
+
+  if (!this.parentCategory) {
+    this.ancestors = [];
+    this.depth = 0;
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parentCategory);
+
+  if (!parent) {
+    this.invalidate('parentCategory', 'Parent category not found');
+    return;
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
+  this.depth = this.ancestors.length;
+
+  if (this.depth >= MAX_DEPTH) {
+    this.invalidate('parentCategory', `Categories cannot be nested more than ${MAX_DEPTH} levels deep`);
   }
-  next();
 });
 
+// Ids of all active categories below a category (not including itself).
+// Categories under an inactive category are left out.
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('isActive ancestors');
+
+  const inactive = new Set(descendants
+    .filter(category => !category.isActive)
+    .map(category => category._id.toString()));
+
+  return descendants
+    .filter(category => category.isActive &&
+      !category.ancestors.some(id => inactive.has(id.toString())))
+    .map(category => category._id);
+};
+
+// Breadcrumb path for a category: its ancestors followed by itself
+categorySchema.methods.getBreadcrumbs = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } })
+    .select('name slug');
+
+  const ancestorMap = new Map(ancestors.map(category => [category._id.toString(), category]));
+
+  return [
+    ...this.ancestors
+      .map(id => ancestorMap.get(id.toString()))
+      .filter(Boolean)
+      .map(({ _id, name, slug }) => ({ _id, name, slug })),
+    { _id: this._id, name: this.name, slug: this.slug }
+  ];
+};
+
+// Move a category (and its whole subtree) under a new parent, or to the
+// top level when parentId is null. Returns { category } or { status, error }.
+categorySchema.statics.moveCategory = async function(category, parentId) {
+  let ancestors = [];
+
+  if (parentId) {
+    if (category._id.equals(parentId)) {
+      return { status: 400, error: 'Category cannot be its own parent' };
+    }
+
+    const parent = await this.findById(parentId);
+
+    if (!parent) {
+      return { status: 404, error: 'Parent category not found' };
+    }
+
+    // Walk up the parent links rather than trusting the stored path,
+    // so a cycle is caught at any depth
+    const visited = new Set();
+    let current = parent;
+
+    while (current) {
+      const currentId = current._id.toString();
+
+      if (current._id.equals(category._id)) {
+        return { status: 400, error: 'Cannot move a category under one of its own subcategories' };
+      }
+
+      if (visited.has(currentId)) break;
+      visited.add(currentId);
+
+      current = current.parentCategory && await this.findById(current.parentCategory);
+    }
+
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  const descendants = await this.find({ ancestors: category._id }).select('ancestors');
+
+  // Levels below the category being moved (a direct child adds one)
+  const subtreeHeight = descendants.reduce((height, descendant) =>
+    Math.max(height, descendant.ancestors.length - category.ancestors.length), 0);
+
+  if (ancestors.length + subtreeHeight >= MAX_DEPTH) {
+    return {
+      status: 400,
+      error: `Categories cannot be nested more than ${MAX_DEPTH} levels deep`
+    };
+  }
+
+  const newPath = [...ancestors, category._id];
+
+  await this.bulkWrite([
+    {
+      updateOne: {
+        filter: { _id: category._id },
+        update: {
+          $set: {
+            parentCategory: parentId || null,
+            ancestors,
+            depth: ancestors.length
+          }
+        }
+      }
+    },
+    ...descendants.map(descendant => {
+      // Keep the part of the path below the moved category
+      const index = descendant.ancestors.findIndex(id => id.equals(category._id));
+      const descendantAncestors = [...newPath, ...descendant.ancestors.slice(index + 1)];
+
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            $set: {
+              ancestors: descendantAncestors,
+              depth: descendantAncestors.length
+            }
+          }
+        }
+      };
+    })
+  ]);
+
+  return { category: await this.findById(category._id) };
+};
+
+// Recalculate every stored path from the parent links. Categories that
+// are part of a cycle are moved to the top level. Returns the ids of the
+// categories whose parent was cleared.
+categorySchema.statics.rebuildPaths = async function() {
+  const categories = await this.find().select('parentCategory');
+  const categoryMap = new Map(categories.map(category => [category._id.toString(), category]));
+  const paths = new Map();
+  const detached = [];
+
+  const resolvePath = (category, visiting = new Set()) => {
+    const id = category._id.toString();
+
+    if (paths.has(id)) return paths.get(id);
+
+    const parent = category.parentCategory && categoryMap.get(category.parentCategory.toString());
+
+    if (!parent || visiting.has(parent._id.toString())) {
+      if (parent) {
+        category.parentCategory = null;
+        detached.push(category._id);
+      }
+      paths.set(id, []);
+      return [];
+    }
+
+    visiting.add(id);
+    const path = [...resolvePath(parent, visiting), parent._id];
+    paths.set(id, path);
+    return path;
+  };
+
+  categories.forEach(category => resolvePath(category));
+
+  if (categories.length > 0) {
+    await this.bulkWrite(categories.map(category => {
+      const ancestors = paths.get(category._id.toString());
+      return {
+        updateOne: {
+          filter: { _id: category._id },
+          update: {
+            $set: {
+              parentCategory: category.parentCategory || null,
+              ancestors,
+              depth: ancestors.length
+            }
+          }
+        }
+      };
+    }));
+  }
+
+  return detached;
+};
+
+// Store the paths of categories created before paths were stored, so
+// subtree browsing includes them. Returns how many had no path.
+categorySchema.statics.backfillPaths = async function() {
+  const missing = await this.countDocuments({ depth: { $exists: false } });
+
+  if (missing > 0) {
+    await this.rebuildPaths();
+  }
+
+  return missing;
+};
+
+categorySchema.statics.MAX_DEPTH = MAX_DEPTH;
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const { roundPrice } = require('../utils/pricing');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative']
+  },
+  // Upper limit for the discount of a percentage coupon
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Scope: a coupon with no products, categories or brands applies to everything
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  // Minimum spend on the items the coupon applies to
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: [1, 'Usage limit per user must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  startsAt: Date,
+  endsAt: Date,
+  // Can be used together with other coupons
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  // Applies to items that are already discounted
+  applyToSaleItems: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function() {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage coupons cannot exceed 100');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+});
+
+// Get the reason the coupon can't be used right now (or null)
+couponSchema.methods.checkUsable = function(userId, now = new Date()) {
+  if (!this.isActive) {
+    return `Coupon ${this.code} is not valid`;
+  }
+
+  if (this.startsAt && this.startsAt > now) {
+    return `Coupon ${this.code} is not active yet`;
+  }
+
+  if (this.endsAt && this.endsAt < now) {
+    return `Coupon ${this.code} has expired`;
+  }
+
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    return `Coupon ${this.code} has reached its usage limit`;
+  }
+
+  if (this.usageLimitPerUser && userId) {
+    const used = this.redemptions
+      .filter(redemption => redemption.user.toString() === userId.toString())
+      .length;
+
+    if (used >= this.usageLimitPerUser) {
+      return `You have already used coupon ${this.code}`;
+    }
+  }
+
+  return null;
+};
+
+// Check if the coupon applies to a priced line. categoryPaths maps a
+// category id to the ids of the category and its ancestors, so a coupon
+// for a category also covers its subcategories.
+couponSchema.methods.appliesTo = function(line, categoryPaths = new Map()) {
+  if (!this.applyToSaleItems && line.unitPrice < line.price) {
+    return false;
+  }
+
+  const hasScope = this.products.length > 0 ||
+    this.categories.length > 0 ||
+    this.brands.length > 0;
+
+  if (!hasScope) {
+    return true;
+  }
+
+  const { product } = line;
+  const brand = product.brand && product.brand.toLowerCase();
+  const categoryId = product.category._id || product.category;
+  const categoryPath = categoryPaths.get(categoryId.toString()) || [categoryId];
+
+  return this.products.some(id => id.equals(product._id)) ||
+    this.categories.some(id => categoryPath.some(pathId => id.equals(pathId))) ||
+    this.brands.some(name => name.toLowerCase() === brand);
+};
+
+// Paths (the category followed by its ancestors) of the categories of
+// the products on the lines, by category id
+const getCategoryPaths = async (lines) => {
+  const categoryIds = lines.map(line => line.product.category._id || line.product.category);
+  const categories = await mongoose.model('Category').find({ _id: { $in: categoryIds } })
+    .select('ancestors');
+
+  return new Map(categories.map(category =>
+    [category._id.toString(), [category._id, ...category.ancestors]]));
+};
+
+// Apply coupon codes to priced lines (see utils/pricing priceItems).
+// Coupons are applied in the order given, each on what is left of the
+// line totals after the previous ones. Returns the per-line discounts
+// and a breakdown per coupon, or { error } when a code can't be used.
+couponSchema.statics.applyCoupons = async function(codes, lines, userId) {
+  const normalized = [...new Set([].concat(codes)
+    .filter(Boolean)
+    .map(code => String(code).trim().toUpperCase()))];
+
+  const coupons = await this.find({ code: { $in: normalized } });
+  const couponMap = new Map(coupons.map(coupon => [coupon.code, coupon]));
+
+  const categoryPaths = coupons.some(coupon => coupon.categories.length > 0)
+    ? await getCategoryPaths(lines)
+    : new Map();
+
+  const remaining = lines.map(line => line.lineTotal);
+  const lineDiscounts = lines.map(() => 0);
+  const breakdown = [];
+
+  for (const code of normalized) {
+    const coupon = couponMap.get(code);
+
+    if (!coupon) {
+      return { error: `Coupon ${code} is not valid` };
+    }
+
+    if (normalized.length > 1 && !coupon.stackable) {
+      return { error: `Coupon ${code} cannot be combined with other coupons` };
+    }
+
+    const usableError = coupon.checkUsable(userId);
+
+    if (usableError) {
+      return { error: usableError };
+    }
+
+    const eligible = lines
+      .map((line, index) => index)
+      .filter(index => coupon.appliesTo(lines[index], categoryPaths));
+
+    if (eligible.length === 0) {
+      return { error: `Coupon ${code} does not apply to any of these items` };
+    }
+
+    const eligibleTotal = eligible.reduce((total, index) => total + remaining[index], 0);
+
+    if (eligibleTotal < coupon.minSpend) {
+      return { error: `Spend at least ${coupon.minSpend} on eligible items to use coupon ${code}` };
+    }
+
+    let amount = coupon.type === 'percentage'
+      ? eligibleTotal * coupon.value / 100
+      : Math.min(coupon.value, eligibleTotal);
+
+    if (coupon.maxDiscount != null) {
+      amount = Math.min(amount, coupon.maxDiscount);
+    }
+
+    amount = roundPrice(amount);
+
+    // Split the discount across the eligible lines by their share of the total;
+    // the last line takes the rounding difference
+    let allocated = 0;
+
+    eligible.forEach((index, position) => {
+      const share = position === eligible.length - 1
+        ? roundPrice(amount - allocated)
+        : roundPrice(eligibleTotal > 0 ? amount * remaining[index] / eligibleTotal : 0);
+
+      allocated = roundPrice(allocated + share);
+      remaining[index] = roundPrice(remaining[index] - share);
+      lineDiscounts[index] = roundPrice(lineDiscounts[index] + share);
+    });
+
+    breakdown.push({
+      coupon: coupon._id,
+      code: coupon.code,
+      discount: amount
+    });
+  }
+
+  return {
+    coupons: normalized.map(code => couponMap.get(code)),
+    breakdown,
+    lineDiscounts,
+    discount: roundPrice(breakdown.reduce((total, item) => total + item.discount, 0))
+  };
+};
+
+// Atomically record that an order used the coupons. Usage limits and the
+// validity window are checked in the same update so concurrent orders
+// can't go over them and a coupon can't be used after it expires.
+// Either every coupon is redeemed or none are.
+couponSchema.statics.redeem = async function(coupons, userId, orderId) {
+  const now = new Date();
+
+  for (const coupon of coupons) {
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        isActive: true,
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+          {
+            $or: [
+              { usageLimit: null },
+              { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+          },
+          {
+            $or: [
+              { usageLimitPerUser: null },
+              {
+                $expr: {
+                  $lt: [
+                    {
+                      $size: {
+                        $filter: {
+                          input: '$redemptions',
+                          as: 'redemption',
+                          cond: { $eq: ['$$redemption.user', userId] }
+                        }
+                      }
+                    },
+                    '$usageLimitPerUser'
+                  ]
+                }
+              }
+            ]
+          }
+        ]
+      },
+      {
+        $inc: { usedCount: 1 },
+        $push: { redemptions: { user: userId, order: orderId } }
+      }
+    );
+
+    if (!updated) {
+      await this.release(orderId);
+      return { success: false, failed: coupon };
+    }
+  }
+
+  return { success: true };
+};
+
+// Give back the coupon uses of an order
+couponSchema.statics.release = async function(orderId) {
+  await this.updateMany(
+    { 'redemptions.order': orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// An email waiting in (or sent from) the outbox
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // The body is removed once sent (e.g. it contains a reset link)
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a worker claimed the message; stale claims are retried
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
\ No newline at end of file
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const MINUTE = 60 * 1000;
+
+// Longest a progressive lockout can grow to
+const MAX_LOCKOUT = 24 * 60 * MINUTE;
+
+// Attempts allowed per window before the identifier is locked out.
+// Progressive lockouts double each time the identifier is locked again.
+const RULES = {
+  'login:account': {
+    limit: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    window: 15 * MINUTE,
+    lockout: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * MINUTE,
+    progressive: true
+  },
+  'login:ip': {
+    limit: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20,
+    window: 15 * MINUTE,
+    lockout: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * MINUTE,
+    progressive: true
+  },
+  'reset:account': {
+    limit: 3,
+    window: 60 * MINUTE,
+    lockout: 60 * MINUTE,
+    progressive: false
+  },
+  'reset:ip': {
+    limit: 10,
+    window: 60 * MINUTE,
+    lockout: 60 * MINUTE,
+    progressive: false
+  }
+};
+
+// Attempt counter for one identifier (an email address or IP) in a scope
+const lockoutSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: Object.keys(RULES),
+    required: true
+  },
+  identifier: {
+    type: String,
+    required: true
+  },
+  // Attempts in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: Date,
+  lockedUntil: Date,
+  // Times this identifier has been locked out (for progressive lockouts)
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  // Counters are forgotten a day after the last activity
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+lockoutSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+lockoutSchema.index({ lockedUntil: 1 });
+lockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Latest end of an active lockout among [scope, identifier] pairs, or null
+lockoutSchema.statics.findActiveLock = async function(entries) {
+  const locks = await this.find({
+    $or: entries.map(([scope, identifier]) => ({ scope, identifier: String(identifier) })),
+    lockedUntil: { $gt: new Date() }
+  }).select('lockedUntil');
+
+  if (locks.length === 0) return null;
+
+  return new Date(Math.max(...locks.map(lock => lock.lockedUntil.getTime())));
+};
+
+// Count an attempt. Returns the end of the lockout when this attempt
+// reached the limit, otherwise null.
+lockoutSchema.statics.recordAttempt = async function(scope, identifier) {
+  const rule = RULES[scope];
+  const now = new Date();
+  const inWindow = { $gt: ['$windowStartedAt', new Date(now.getTime() - rule.window)] };
+
+  const countAttempt = () => this.findOneAndUpdate(
+    { scope, identifier: String(identifier) },
+    [{
+      $set: {
+        count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+        windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+        lockouts: { $ifNull: ['$lockouts', 0] },
+        expiresAt: new Date(now.getTime() + MAX_LOCKOUT)
+      }
+    }],
+    { new: true, upsert: true, updatePipeline: true }
+  );
+
+  let counter;
+
+  try {
+    counter = await countAttempt();
+  } catch (error) {
+    // Concurrent first attempts can both try to create the counter. The
+    // one that loses gets a duplicate key error, and the counter exists
+    // by the time it tries again.
+    if (error.code !== 11000) throw error;
+    counter = await countAttempt();
+  }
+
+  if (counter.count < rule.limit) return null;
+
+  const duration = rule.progressive
+    ? Math.min(rule.lockout * Math.pow(2, counter.lockouts), MAX_LOCKOUT)
+    : rule.lockout;
+  const lockedUntil = new Date(now.getTime() + duration);
+
+  // Concurrent attempts can all pass the limit; only the first one to get
+  // here locks the identifier (and counts towards progressive lockouts)
+  const locked = await this.updateOne({ _id: counter._id, count: { $gte: rule.limit } }, {
+    $set: {
+      count: 0,
+      lockedUntil,
+      expiresAt: new Date(lockedUntil.getTime() + MAX_LOCKOUT)
+    },
+    $inc: { lockouts: 1 }
+  });
+
+  return locked.modifiedCount > 0 ? lockedUntil : null;
+};
+
+// Start counting attempts for an identifier again (e.g. after a successful
+// login). The number of past lockouts is kept, so progressive lockouts keep
+// growing until the record expires.
+lockoutSchema.statics.clearAttempts = function(scope, identifier) {
+  return this.updateOne(
+    { scope, identifier: String(identifier) },
+    { $set: { count: 0 }, $unset: { windowStartedAt: 1 } }
+  );
+};
+
+lockoutSchema.statics.RULES = RULES;
+
+module.exports = mongoose.model('Lockout', lockoutSchema);
\ No newline at end of file
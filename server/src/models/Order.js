@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Allowed status changes for each order status
+const STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Snapshot of the product at the time the order was placed,
+// so later product edits don't change the order
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Order item must reference a product']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  variantOptions: {
+    type: Map,
+    of: String
+  },
+  sku: String,
+  image: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Share of the coupon discount taken off this line
+  couponDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Order must belong to a user']
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'Order must have at least one item']
+  },
+  shippingAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  coupons: [{
+    _id: false,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: Number
+  }],
+  couponDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  paidAt: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  refundedAt: Date
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Check if the order can move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
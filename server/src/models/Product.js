@@ -1,4 +1,48 @@
 const mongoose = require('mongoose');
+const { slugPlugin } = require('../utils/slug');
+const { bayesianScore } = require('../utils/rating');
+const { PUBLISHED } = require('../utils/moderation');
+
+// A purchasable combination of option values, e.g. { size: 'M', colour: 'Red' }
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true
+  },
+  options: {
+    type: Map,
+    of: String,
+    required: [true, 'Variant options are required']
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  images: [{
+    url: String,
+    public_id: String,
+    alt: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Final price of the variant after the product discount
+variantSchema.virtual('finalPrice').get(function() {
+  const product = this.parent();
+  return product.applyDiscount(this.price != null ? this.price : product.price);
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -7,6 +51,12 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Product name cannot exceed 200 characters']
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true
+  },
   description: {
     type: String,
     required: [true, 'Product description is required']
@@ -26,12 +76,27 @@ const productSchema = new mongoose.Schema({
     public_id: String,
     alt: String
   }],
+  // For products with variants this is the total stock of the active variants
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
     default: 0,
     min: [0, 'Stock cannot be negative']
   },
+  // Option axes for variants, e.g. [{ name: 'size', values: ['S', 'M', 'L'] }]
+  options: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Option name is required'],
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  variants: [variantSchema],
   sku: {
     type: String,
     unique: true,
@@ -51,6 +116,11 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Rating weighted by the number of reviews, used to sort by rating
+  ratingScore: {
+    type: Number,
+    default: () => bayesianScore(0, 0)
+  },
   features: [{
     name: String,
     value: String
@@ -70,29 +140,374 @@ const productSchema = new mongoose.Schema({
       min: 0,
       max: 100
     },
+    // Fixed sale price, used instead of the percentage when set
+    salePrice: {
+      type: Number,
+      min: [0, 'Sale price cannot be negative']
+    },
+    // Optional sale window; the discount only applies between these dates
+    startsAt: Date,
+    endsAt: Date,
     discountedPrice: {
       type: Number,
       min: 0
     }
-  }
+  },
+  // Price in effect right now (lowest variant price for products with
+  // variants). Stored so listings can filter and sort on it.
+  currentPrice: {
+    type: Number,
+    min: 0
+  },
+  pricedAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Check if the product has a discount that applies at the given time
+productSchema.methods.isSaleActive = function(now = new Date()) {
+  const { discount } = this;
+
+  if (!discount || (!(discount.percentage > 0) && discount.salePrice == null)) {
+    return false;
+  }
+
+  return (!discount.startsAt || discount.startsAt <= now) &&
+    (!discount.endsAt || discount.endsAt > now);
+};
+
+// Apply the discount to a price, ignoring the sale window.
+// A sale price lowers variant prices by the same proportion.
+productSchema.methods.discountPrice = function(price) {
+  const { discount } = this;
+
+  if (discount && discount.salePrice != null) {
+    return this.price > 0 ? price * discount.salePrice / this.price : price;
+  }
+
+  if (discount && discount.percentage > 0) {
+    return price * (1 - discount.percentage / 100);
+  }
+
+  return price;
+};
+
+// Apply the product discount to a price if the sale is running
+productSchema.methods.applyDiscount = function(price, now = new Date()) {
+  return this.isSaleActive(now) ? this.discountPrice(price) : price;
+};
+
+// Work out the price in effect at the given time
+productSchema.methods.computeCurrentPrice = function(now = new Date()) {
+  const activeVariants = (this.variants || []).filter(variant => variant.isActive);
+
+  const prices = activeVariants.length > 0
+    ? activeVariants.map(variant => this.applyDiscount(variant.price != null ? variant.price : this.price, now))
+    : [this.applyDiscount(this.price, now)];
+
+  return Math.round(Math.min(...prices) * 100) / 100;
+};
+
 // Virtual for getting final price after discount
 productSchema.virtual('finalPrice').get(function() {
-  if (this.discount && this.discount.percentage > 0) {
-    return this.price * (1 - this.discount.percentage / 100);
+  return this.applyDiscount(this.price);
+});
+
+// Latest published reviews, for the product page (all reviews are listed,
+// paginated, at /api/products/:productId/reviews)
+productSchema.virtual('reviews', {
+  ref: 'Review',
+  localField: '_id',
+  foreignField: 'product',
+  match: PUBLISHED,
+  options: { sort: { createdAt: -1 }, limit: 5 }
+});
+
+// Number of published questions
+productSchema.virtual('questionCount', {
+  ref: 'Question',
+  localField: '_id',
+  foreignField: 'product',
+  match: PUBLISHED,
+  count: true
+});
+
+// Lowest and highest final price across the active variants
+productSchema.virtual('priceRange').get(function() {
+  const activeVariants = (this.variants || []).filter(variant => variant.isActive);
+
+  if (activeVariants.length === 0) {
+    return undefined;
   }
-  return this.price;
+
+  const prices = activeVariants.map(variant => variant.finalPrice);
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices)
+  };
 });
 
+productSchema.virtual('inStock').get(function() {
+  return this.stock > 0;
+});
+
+// none, upcoming, active or expired
+productSchema.virtual('saleStatus').get(function() {
+  const { discount } = this;
+  const now = new Date();
+
+  if (!discount || (!(discount.percentage > 0) && discount.salePrice == null)) {
+    return 'none';
+  }
+
+  if (discount.startsAt && discount.startsAt > now) {
+    return 'upcoming';
+  }
+
+  if (discount.endsAt && discount.endsAt <= now) {
+    return 'expired';
+  }
+
+  return 'active';
+});
+
+// Get an active variant by id (or undefined)
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId) return undefined;
+  const variant = this.variants.id(variantId);
+  return variant && variant.isActive ? variant : undefined;
+};
+
+// Check the sale settings and keep the stored prices in line with the discount
+productSchema.pre('validate', function() {
+  const { discount } = this;
+
+  if (discount) {
+    if (discount.salePrice != null && discount.salePrice > this.price) {
+      this.invalidate('discount.salePrice', 'Sale price cannot be higher than the price');
+    }
+
+    if (discount.startsAt && discount.endsAt && discount.endsAt <= discount.startsAt) {
+      this.invalidate('discount.endsAt', 'Sale end date must be after the start date');
+    }
+
+    discount.discountedPrice = Math.round(this.discountPrice(this.price) * 100) / 100;
+  }
+});
+
+// Check variants against the option axes and derive the product stock
+productSchema.pre('validate', function() {
+  if (!this.variants || this.variants.length === 0) {
+    return;
+  }
+
+  const axes = new Map((this.options || []).map(option => [option.name, option.values]));
+  const combinations = new Set();
+  const skus = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const options = variant.options || new Map();
+
+    for (const [name, value] of options) {
+      if (!axes.has(name)) {
+        this.invalidate(`variants.${index}.options`, `Unknown option "${name}"`);
+      } else if (axes.get(name).length > 0 && !axes.get(name).includes(value)) {
+        this.invalidate(`variants.${index}.options`, `"${value}" is not a valid ${name}`);
+      }
+    }
+
+    for (const name of axes.keys()) {
+      if (!options.has(name)) {
+        this.invalidate(`variants.${index}.options`, `Variant is missing option "${name}"`);
+      }
+    }
+
+    const combination = [...axes.keys()].map(name => options.get(name)).join('/');
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, `Duplicate variant ${combination}`);
+    }
+    combinations.add(combination);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        this.invalidate(`variants.${index}.sku`, `Duplicate variant SKU ${variant.sku}`);
+      }
+      skus.add(variant.sku);
+    }
+  });
+
+  // The SKU index covers all variants of a product that has any SKU, so
+  // a variant without one would clash with other products' (see below)
+  if (skus.size > 0) {
+    this.variants.forEach((variant, index) => {
+      if (!variant.sku) {
+        this.invalidate(`variants.${index}.sku`, 'Every variant needs a SKU when any variant has one');
+      }
+    });
+  }
+
+  this.stock = this.variants
+    .filter(variant => variant.isActive)
+    .reduce((total, variant) => total + variant.stock, 0);
+});
+
+// Store the price in effect now (after variants are checked)
+productSchema.pre('validate', function() {
+  this.currentPrice = this.computeCurrentPrice();
+  this.pricedAt = new Date();
+});
+
+// When a sale starts or ends the stored current price goes stale.
+// Reprice products whose sale window opened or closed since they were
+// last priced (run periodically by the sale price worker).
+productSchema.statics.refreshSalePrices = async function() {
+  const now = new Date();
+
+  const crossed = field => ({
+    $and: [
+      { $lte: [field, now] },
+      { $gt: [field, '$pricedAt'] }
+    ]
+  });
+
+  const stale = await this.find({
+    $expr: {
+      $or: [
+        crossed('$discount.startsAt'),
+        crossed('$discount.endsAt'),
+        { $eq: [{ $type: '$currentPrice' }, 'missing'] }
+      ]
+    }
+  }).select('price discount variants');
+
+  if (stale.length === 0) return;
+
+  await this.bulkWrite(stale.map(product => ({
+    updateOne: {
+      filter: { _id: product._id },
+      update: {
+        $set: {
+          currentPrice: product.computeCurrentPrice(now),
+          pricedAt: now
+        }
+      }
+    }
+  })));
+};
+
+// Update filter and operators that change the stock of a
+// { product, variant, quantity } line by the given amount.
+// Variant lines change both the variant and the product total.
+const stockChange = (line, amount) => {
+  if (!line.variant) {
+    return { update: { $inc: { stock: amount } } };
+  }
+
+  return {
+    update: { $inc: { stock: amount, 'variants.$[variant].stock': amount } },
+    arrayFilters: [{ 'variant._id': line.variant }]
+  };
+};
+
+// Atomically take stock for a list of { product, variant, quantity } lines.
+// Either every line is decremented or none are: lines that were already
+// taken are put back when a later line does not have enough stock.
+productSchema.statics.reserveStock = async function(lines) {
+  const reserved = [];
+
+  for (const line of lines) {
+    const filter = line.variant
+      ? {
+          _id: line.product,
+          isActive: true,
+          variants: {
+            $elemMatch: { _id: line.variant, isActive: true, stock: { $gte: line.quantity } }
+          }
+        }
+      : {
+          _id: line.product,
+          isActive: true,
+          stock: { $gte: line.quantity }
+        };
+
+    const { update, arrayFilters } = stockChange(line, -line.quantity);
+    const product = await this.findOneAndUpdate(filter, update, { new: true, arrayFilters });
+
+    if (!product) {
+      await this.releaseStock(reserved);
+      return { success: false, failed: line };
+    }
+
+    reserved.push(line);
+  }
+
+  return { success: true };
+};
+
+// Put stock back for a list of { product, variant, quantity } lines
+productSchema.statics.releaseStock = async function(lines) {
+  if (lines.length === 0) return;
+
+  await this.bulkWrite(lines.map(line => {
+    const { update, arrayFilters } = stockChange(line, line.quantity);
+    return {
+      updateOne: {
+        filter: { _id: line.product },
+        update,
+        arrayFilters
+      }
+    };
+  }));
+};
+
+// Unweighted text index created by earlier versions. A collection can
+// only have one text index, so it blocks the weighted one below.
+const LEGACY_TEXT_INDEX = 'name_text_description_text_brand_text';
+
+// Drop the old text index if it is still there and build the current
+// indexes. Returns whether the old index was dropped.
+productSchema.statics.replaceTextIndex = async function() {
+  const indexes = await this.collection.indexes().catch(error => {
+    // No collection yet, so no indexes
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+
+  const hasLegacyIndex = indexes.some(index => index.name === LEGACY_TEXT_INDEX);
+
+  if (hasLegacyIndex) {
+    await this.collection.dropIndex(LEGACY_TEXT_INDEX);
+  }
+
+  await this.syncIndexes();
+
+  return hasLegacyIndex;
+};
+
+// Generate slug from the name, keeping old slugs after a rename
+productSchema.plugin(slugPlugin);
+
 // Indexes for faster queries
-productSchema.index({ name: 'text', description: 'text', brand: 'text' });
+productSchema.index(
+  { name: 'text', description: 'text', brand: 'text' },
+  { weights: { name: 10, brand: 5, description: 1 }, name: 'product_text_search' }
+);
 productSchema.index({ category: 1, price: 1 });
+productSchema.index({ category: 1, currentPrice: 1 });
+productSchema.index({ currentPrice: 1 });
+productSchema.index({ 'discount.startsAt': 1, 'discount.endsAt': 1 });
 productSchema.index({ rating: -1 });
+productSchema.index({ ratingScore: -1 });
 productSchema.index({ createdAt: -1 });
+// Variant SKUs are unique across products. sparse doesn't skip array
+// fields, so only index products with SKUs (the pre-validate hook above
+// checks SKUs within a product, which a unique index doesn't).
+productSchema.index({ 'variants.sku': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'variants.sku': { $type: 'string' } },
+  name: 'variants_sku_unique'
+});
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
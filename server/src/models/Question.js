@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { moderationPlugin, PUBLISHED } = require('../utils/moderation');
+
+// A shopper's pre-purchase question about a product
+const questionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Question must belong to a product']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Question must belong to a user']
+  },
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [500, 'Question cannot exceed 500 characters']
+  },
+  // Published answers
+  answerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Status, reports and moderation. Only published questions are shown.
+questionSchema.plugin(moderationPlugin, {
+  reportThreshold: parseInt(process.env.QA_REPORT_THRESHOLD, 10) || 3
+});
+
+questionSchema.index({ product: 1, createdAt: -1 });
+
+// Recount the published answers of a question
+questionSchema.statics.updateAnswerCount = async function(questionId) {
+  const answerCount = await mongoose.model('Answer').countDocuments({
+    question: questionId,
+    ...PUBLISHED
+  });
+
+  await this.updateOne({ _id: questionId }, { answerCount });
+};
+
+module.exports = mongoose.model('Question', questionSchema);
\ No newline at end of file
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days a refresh token can be used for
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// One refresh token. Tokens issued for the same login (a device session)
+// share a family; each refresh replaces the token with a new one in the
+// same family. Only the hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token has been exchanged for a new one
+  replacedAt: Date,
+  // Set when the session is logged out or the family is revoked
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a refresh token, starting a new family unless one is given.
+// Returns { token, family }; the token itself is only available here.
+refreshTokenSchema.statics.issue = async function(userId, { family, userAgent, ip } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const tokenFamily = family || crypto.randomUUID();
+
+  await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: tokenFamily,
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, family: tokenFamily };
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Returns { token, family, user } or { error, reused } when the token
+// can't be used. Using a token that was already exchanged means it has
+// leaked, so the whole family is revoked.
+refreshTokenSchema.statics.rotate = async function(token, { userAgent, ip } = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await this.findOneAndUpdate(
+    {
+      tokenHash,
+      replacedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { replacedAt: now }
+  );
+
+  if (!current) {
+    const existing = await this.findOne({ tokenHash });
+
+    if (existing && existing.replacedAt && !existing.revokedAt) {
+      await this.revokeFamily(existing.family);
+      return { error: 'Refresh token has already been used', reused: true };
+    }
+
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const issued = await this.issue(current.user, { family: current.family, userAgent, ip });
+
+  // A reuse of the same token may have revoked the family while the new
+  // token was being issued, which would leave the new token active
+  const claimed = await this.findById(current._id).select('revokedAt');
+
+  if (claimed.revokedAt) {
+    await this.revokeFamily(current.family);
+    return { error: 'Refresh token has already been used', reused: true };
+  }
+
+  return { ...issued, user: current.user };
+};
+
+// Log out a session
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Log out all of a user's sessions
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Whether a session is still logged in
+refreshTokenSchema.statics.isSessionActive = async function(family) {
+  const token = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return Boolean(token);
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { bayesianScore } = require('../utils/rating');
+const { moderationPlugin, PUBLISHED } = require('../utils/moderation');
+
+// Most photos and videos a review can have
+const MAX_MEDIA = 5;
 
 const reviewSchema = new mongoose.Schema({
   product: {
@@ -28,6 +33,29 @@ const reviewSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Comment cannot exceed 1000 characters']
   },
+  // Photos and videos from the author
+  media: {
+    type: [{
+      type: {
+        type: String,
+        enum: ['image', 'video'],
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      },
+      public_id: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    validate: [
+      media => media.length <= MAX_MEDIA,
+      `A review can have at most ${MAX_MEDIA} photos and videos`
+    ]
+  },
   isVerifiedPurchase: {
     type: Boolean,
     default: false
@@ -36,32 +64,93 @@ const reviewSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  reportCount: {
-    type: Number,
-    default: 0
+  // Users who voted the review helpful (one vote each)
+  helpfulVoters: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Status, reports and moderation. Only published reviews are shown and
+// count towards the product rating.
+reviewSchema.plugin(moderationPlugin, {
+  reportThreshold: parseInt(process.env.REVIEW_REPORT_THRESHOLD, 10) || 3
+});
+
 // Prevent duplicate reviews from same user on same product
 reviewSchema.index({ product: 1, user: 1 }, { unique: true });
 
-// Update product rating when review is saved
+// Keep the product rating up to date on every change to a review:
+// creating or saving a review
 reviewSchema.post('save', async function() {
   await this.constructor.calculateAverageRating(this.product);
 });
 
-// Update product rating when review is deleted
-reviewSchema.post('remove', async function() {
+// review.deleteOne()
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
   await this.constructor.calculateAverageRating(this.product);
 });
 
-// Static method to calculate average rating
+// Review.findByIdAndDelete() / findOneAndDelete()
+reviewSchema.post('findOneAndDelete', async function(review) {
+  if (review) {
+    await this.model.calculateAverageRating(review.product);
+  }
+});
+
+// Review.findByIdAndUpdate() / findOneAndUpdate() that change the rating or status
+reviewSchema.post('findOneAndUpdate', async function(review) {
+  const update = this.getUpdate() || {};
+  const fields = Object.keys({ ...update, ...update.$set });
+
+  if (review && fields.some(field => field === 'rating' || field === 'status')) {
+    await this.model.calculateAverageRating(review.product);
+  }
+});
+
+// Rating fields of a product from the average and number of its reviews
+const ratingFields = (average, count) => ({
+  rating: average,
+  numReviews: count,
+  ratingScore: bayesianScore(average, count)
+});
+
+// Recalculate the rating of a product from its published reviews
 reviewSchema.statics.calculateAverageRating = async function(productId) {
+  const id = new mongoose.Types.ObjectId(String(productId));
+
+  const stats = await this.aggregate([
+    {
+      $match: { product: id, ...PUBLISHED }
+    },
+    {
+      $group: {
+        _id: '$product',
+        averageRating: { $avg: '$rating' },
+        numberOfReviews: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const fields = stats.length > 0
+    ? ratingFields(stats[0].averageRating, stats[0].numberOfReviews)
+    : ratingFields(0, 0);
+
+  await mongoose.model('Product').updateOne({ _id: id }, { $set: fields });
+};
+
+// Recalculate the ratings of every product. Returns the number of products.
+reviewSchema.statics.recalculateAllRatings = async function() {
+  const Product = mongoose.model('Product');
+
   const stats = await this.aggregate([
     {
-      $match: { product: productId }
+      $match: PUBLISHED
     },
     {
       $group: {
@@ -73,16 +162,63 @@ reviewSchema.statics.calculateAverageRating = async function(productId) {
   ]);
 
   if (stats.length > 0) {
-    await mongoose.model('Product').findByIdAndUpdate(productId, {
-      rating: stats[0].averageRating,
-      numReviews: stats[0].numberOfReviews
-    });
-  } else {
-    await mongoose.model('Product').findByIdAndUpdate(productId, {
-      rating: 0,
-      numReviews: 0
-    });
+    await Product.bulkWrite(stats.map(stat => ({
+      updateOne: {
+        filter: { _id: stat._id },
+        update: { $set: ratingFields(stat.averageRating, stat.numberOfReviews) }
+      }
+    })));
   }
+
+  // Products without published reviews
+  const reset = await Product.updateMany(
+    { _id: { $nin: stats.map(stat => stat._id) } },
+    { $set: ratingFields(0, 0) }
+  );
+
+  return stats.length + reset.matchedCount;
+};
+
+// Products saved before the weighted score existed have no stored score
+// and would sort below new, unrated products. Recalculate every rating
+// once when any product is missing one. Returns the products updated.
+reviewSchema.statics.backfillRatingScores = async function() {
+  const missing = await mongoose.model('Product').exists({ ratingScore: { $exists: false } });
+
+  return missing ? this.recalculateAllRatings() : 0;
 };
 
+// Star-rating distribution and average of the published reviews of a product
+reviewSchema.statics.getSummary = async function(productId) {
+  const groups = await this.aggregate([
+    {
+      $match: { product: new mongoose.Types.ObjectId(String(productId)), ...PUBLISHED }
+    },
+    {
+      $group: {
+        _id: '$rating',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let sum = 0;
+
+  groups.forEach(group => {
+    histogram[Math.round(group._id)] += group.count;
+    total += group.count;
+    sum += group._id * group.count;
+  });
+
+  return {
+    average: total > 0 ? Math.round(sum / total * 10) / 10 : 0,
+    total,
+    histogram
+  };
+};
+
+reviewSchema.statics.MAX_MEDIA = MAX_MEDIA;
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
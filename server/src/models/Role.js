@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Everything a role can be allowed to do
+const PERMISSIONS = {
+  'product:write': 'Create and edit products, stock and sales',
+  'category:write': 'Create, edit and move categories',
+  'coupon:manage': 'Manage coupons',
+  'order:read': 'View all orders',
+  'order:manage': 'Change order status',
+  'review:moderate': 'Edit, approve, hide and remove any review',
+  'question:moderate': 'Give official answers; approve, hide and remove any product question or answer',
+  'search:manage': 'Manage search synonyms',
+  'user:read': 'View users',
+  'user:manage': 'Change user roles, deactivate users and force password resets',
+  'role:manage': 'Define roles and their permissions'
+};
+
+// Roles created on startup. The admin role always has every permission.
+const DEFAULT_ROLES = [
+  { name: 'admin', description: 'Full access', isSystem: true },
+  { name: 'user', description: 'Customer', permissions: [], isSystem: true },
+  {
+    name: 'catalog_manager',
+    description: 'Manages the product catalog',
+    permissions: ['product:write', 'category:write', 'search:manage']
+  },
+  {
+    name: 'moderator',
+    description: 'Moderates reviews and product questions',
+    permissions: ['review:moderate', 'question:moderate']
+  },
+  {
+    name: 'support',
+    description: 'Read-only access to orders and users',
+    permissions: ['order:read', 'user:read']
+  }
+];
+
+// Role permissions are cached for this long (milliseconds)
+const CACHE_TTL = 60 * 1000;
+
+let permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Role names can only contain letters, numbers, - and _']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(PERMISSIONS),
+        message: '{VALUE} is not a valid permission'
+      }
+    }],
+    default: []
+  },
+  // Built-in roles can't be removed
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create any missing default roles
+roleSchema.statics.ensureDefaults = async function() {
+  await Promise.all(DEFAULT_ROLES.map(role => this.updateOne(
+    { name: role.name },
+    { $setOnInsert: { permissions: [], ...role } },
+    { upsert: true }
+  )));
+};
+
+// Permissions of a role by name (an unknown role has none)
+roleSchema.statics.getPermissions = async function(name) {
+  if (name === 'admin') {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const cached = permissionCache.get(name);
+
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  const permissions = role ? role.permissions : [];
+
+  permissionCache.set(name, { permissions, cachedAt: Date.now() });
+  return permissions;
+};
+
+// Forget cached permissions (after roles are edited)
+roleSchema.statics.clearPermissionCache = function() {
+  permissionCache = new Map();
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model('Role', roleSchema);
\ No newline at end of file
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A group of words that mean the same thing in product search,
+// e.g. ['sneakers', 'trainers', 'running shoes']
+const synonymSchema = new mongoose.Schema({
+  terms: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    validate: [terms => terms.length >= 2, 'A synonym group needs at least two terms']
+  }
+}, {
+  timestamps: true
+});
+
+synonymSchema.index({ terms: 1 });
+
+module.exports = mongoose.model('Synonym', synonymSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,17 +16,34 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Last time a verification email was sent (for the resend cooldown)
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Name of a Role, which grants the user's permissions
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user'
   },
+  // Deactivated users can't log in
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: Date,
   avatar: {
     url: String,
     public_id: String
@@ -41,17 +59,36 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
-  resetPasswordToken: String,
-  resetPasswordExpire: Date,
+  // Token for the public read-only wishlist link. Secrets and their
+  // timestamps below are never selected unless asked for.
+  wishlistShareToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: Date
 }, {
   timestamps: true
 });
 
 // Hash password before saving
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
   this.password = await bcrypt.hash(this.password, 10);
-  next();
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
 // Compare password method
@@ -59,13 +96,45 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate a short-lived JWT access token for a session
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
+// Generate a signed email verification token. It is tied to the current
+// email address, so links sent to an old address stop working.
+userSchema.methods.generateEmailVerificationToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+// Create a password reset token valid for the given number of minutes.
+// Only its hash is stored; the token itself is returned to be emailed.
+userSchema.methods.createPasswordResetToken = function(minutes) {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Whether the password was changed after a token was issued
+// (iat is the token's issue time in seconds)
+userSchema.methods.changedPasswordAfter = function(iat) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > iat;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -8,20 +8,29 @@ const {
   updatePassword,
   forgotPassword,
   resetPassword,
-  logout
+  refreshToken,
+  verifyEmail,
+  resendVerification,
+  logout,
+  logoutAll
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
+const { validate, authSchemas } = require('../middleware/validation');
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
-router.post('/forgotpassword', forgotPassword);
-router.put('/resetpassword/:resettoken', resetPassword);
+router.post('/register', validate(authSchemas.register), register);
+router.post('/login', validate(authSchemas.login), login);
+router.post('/forgotpassword', validate(authSchemas.forgotPassword), forgotPassword);
+router.put('/resetpassword/:resettoken', validate(authSchemas.resetPassword), resetPassword);
+router.post('/refresh', validate(authSchemas.refresh), refreshToken);
+router.get('/verify-email/:token', validate(authSchemas.verifyEmail), verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/updatedetails', protect, updateDetails);
-router.put('/updatepassword', protect, updatePassword);
-router.get('/logout', protect, logout);
+router.put('/updatedetails', protect, validate(authSchemas.updateDetails), updateDetails);
+router.put('/updatepassword', protect, validate(authSchemas.updatePassword), updatePassword);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.post('/verify-email/resend', protect, resendVerification);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  mergeCart
+} = require('../controllers/cartController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { validate, cartSchemas } = require('../middleware/validation');
+
+// Guest carts are identified by the X-Cart-Token header,
+// logged in users by their auth token
+router.route('/')
+  .get(optionalAuth, getCart)
+  .delete(optionalAuth, clearCart);
+
+router.route('/items')
+  .post(optionalAuth, validate(cartSchemas.addItem), addItem);
+
+router.route('/items/:productId')
+  .put(optionalAuth, validate(cartSchemas.updateItem), updateItem)
+  .delete(optionalAuth, validate(cartSchemas.removeItem), removeItem);
+
+// Protected routes
+router.route('/merge')
+  .post(protect, validate(cartSchemas.merge), mergeCart);
+
+module.exports = router;
\ No newline at end of file
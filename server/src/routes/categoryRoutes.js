@@ -8,10 +8,13 @@ const {
   updateCategory,
   deleteCategory,
   uploadCategoryImage,
-  getCategoryTree
+  getCategoryTree,
+  moveCategory,
+  rebuildCategoryPaths
 } = require('../controllers/categoryController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
+const { validate, categorySchemas } = require('../middleware/validation');
 
 // Public routes
 router.route('/')
@@ -21,25 +24,32 @@ router.route('/hierarchy/tree')
   .get(getCategoryTree);
 
 router.route('/:id')
-  .get(getCategory);
+  .get(validate(categorySchemas.get), getCategory);
 
 router.route('/slug/:slug')
-  .get(getCategoryBySlug);
+  .get(validate(categorySchemas.getBySlug), getCategoryBySlug);
 
 // Protected admin routes
 router.route('/')
-  .post(protect, authorize('admin'), createCategory);
+  .post(protect, requirePermission('category:write'), validate(categorySchemas.create), createCategory);
 
 router.route('/:id')
-  .put(protect, authorize('admin'), updateCategory)
-  .delete(protect, authorize('admin'), deleteCategory);
+  .put(protect, requirePermission('category:write'), validate(categorySchemas.update), updateCategory)
+  .delete(protect, requirePermission('category:write'), validate(categorySchemas.delete), deleteCategory);
+
+router.route('/:id/move')
+  .put(protect, requirePermission('category:write'), validate(categorySchemas.move), moveCategory);
+
+router.route('/hierarchy/rebuild')
+  .post(protect, requirePermission('category:write'), rebuildCategoryPaths);
 
 // Image upload route
 router.route('/:id/image')
   .put(
     protect, 
-    authorize('admin'), 
+    requirePermission('category:write'), 
     upload.single('image'), 
+    validate(categorySchemas.uploadImage),
     uploadCategoryImage
   );
 
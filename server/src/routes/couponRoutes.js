@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateCoupon,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { validate, couponSchemas } = require('../middleware/validation');
+
+// Public routes
+router.route('/validate')
+  .post(optionalAuth, validate(couponSchemas.validate), validateCoupon);
+
+// Protected admin routes
+router.route('/')
+  .get(protect, requirePermission('coupon:manage'), validate(couponSchemas.list), getCoupons)
+  .post(protect, requirePermission('coupon:manage'), validate(couponSchemas.create), createCoupon);
+
+router.route('/:id')
+  .get(protect, requirePermission('coupon:manage'), validate(couponSchemas.get), getCoupon)
+  .put(protect, requirePermission('coupon:manage'), validate(couponSchemas.update), updateCoupon)
+  .delete(protect, requirePermission('coupon:manage'), validate(couponSchemas.delete), deleteCoupon);
+
+module.exports = router;
\ No newline at end of file
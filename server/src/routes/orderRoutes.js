@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrder,
+  getMyOrders,
+  getOrders,
+  getOrder,
+  updateOrderStatus,
+  cancelOrder
+} = require('../controllers/orderController');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, orderSchemas } = require('../middleware/validation');
+
+// Protected routes
+router.route('/')
+  .post(protect, requireVerifiedEmail, validate(orderSchemas.create), createOrder);
+
+router.route('/my')
+  .get(protect, validate(orderSchemas.listMine), getMyOrders);
+
+router.route('/:id')
+  .get(protect, validate(orderSchemas.get), getOrder);
+
+router.route('/:id/cancel')
+  .put(protect, validate(orderSchemas.cancel), cancelOrder);
+
+// Protected admin routes
+router.route('/')
+  .get(protect, requirePermission('order:read'), validate(orderSchemas.list), getOrders);
+
+router.route('/:id/status')
+  .put(protect, requirePermission('order:manage'), validate(orderSchemas.updateStatus), updateOrderStatus);
+
+module.exports = router;
\ No newline at end of file
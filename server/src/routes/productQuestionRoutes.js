@@ -0,0 +1,17 @@
+const express = require('express');
+// mergeParams gives access to :productId from the product routes
+const router = express.Router({ mergeParams: true });
+const {
+  getProductQuestions,
+  askQuestion
+} = require('../controllers/questionController');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, questionSchemas } = require('../middleware/validation');
+
+// Questions about a product (mounted at /api/products/:productId/questions).
+// Routes for a single question or answer are under /api/questions.
+router.route('/')
+  .get(validate(questionSchemas.list), getProductQuestions)
+  .post(protect, requireVerifiedEmail, validate(questionSchemas.ask), askQuestion);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+// mergeParams gives access to :productId from the product routes
+const router = express.Router({ mergeParams: true });
+const {
+  getProductReviews,
+  addReview
+} = require('../controllers/reviewController');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, reviewSchemas } = require('../middleware/validation');
+
+// Reviews of a product (mounted at /api/products/:productId/reviews).
+// Routes for a single review are under /api/reviews.
+router.route('/')
+  .get(validate(reviewSchemas.list), getProductReviews)
+  .post(protect, requireVerifiedEmail, validate(reviewSchemas.create), addReview);
+
+module.exports = router;
@@ -2,43 +2,76 @@ const express = require('express');
 const router = express.Router();
 const {
   getProducts,
+  getSuggestions,
   getProduct,
+  getProductBySlug,
   createProduct,
   updateProduct,
   deleteProduct,
   uploadProductImages,
-  updateStock
+  uploadVariantImages,
+  updateStock,
+  scheduleSale,
+  getSales
 } = require('../controllers/productController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
+const { validate, productSchemas } = require('../middleware/validation');
+const productReviewRouter = require('./productReviewRoutes');
+const productQuestionRouter = require('./productQuestionRoutes');
+
+// Re-route into other resource routers
+router.use('/:productId/reviews', productReviewRouter);
+router.use('/:productId/questions', productQuestionRouter);
 
 // Public routes
 router.route('/')
-  .get(getProducts);
+  .get(validate(productSchemas.list), getProducts);
+
+router.route('/suggest')
+  .get(validate(productSchemas.suggest), getSuggestions);
+
+// Sale scheduling (before /:id so "sales" isn't read as an id)
+router.route('/sales')
+  .get(protect, requirePermission('product:write'), validate(productSchemas.listSales), getSales)
+  .post(protect, requirePermission('product:write'), validate(productSchemas.scheduleSale), scheduleSale);
 
 router.route('/:id')
-  .get(getProduct);
+  .get(validate(productSchemas.get), getProduct);
+
+router.route('/slug/:slug')
+  .get(validate(productSchemas.getBySlug), getProductBySlug);
 
 // Protected admin routes
 router.route('/')
-  .post(protect, authorize('admin'), createProduct);
+  .post(protect, requirePermission('product:write'), validate(productSchemas.create), createProduct);
 
 router.route('/:id')
-  .put(protect, authorize('admin'), updateProduct)
-  .delete(protect, authorize('admin'), deleteProduct);
+  .put(protect, requirePermission('product:write'), validate(productSchemas.update), updateProduct)
+  .delete(protect, requirePermission('product:write'), validate(productSchemas.delete), deleteProduct);
 
 // Image upload route
 router.route('/:id/images')
-  .put(protect, authorize('admin'), upload.array('images', 5), uploadProductImages);
+  .put(protect, requirePermission('product:write'), upload.array('images', 5), validate(productSchemas.uploadImages), uploadProductImages);
+
+router.route('/:id/variants/:variantId/images')
+  .put(protect, requirePermission('product:write'), upload.array('images', 5), validate(productSchemas.uploadVariantImages), uploadVariantImages);
 
 // Stock management route
 router.route('/:id/stock')
-  .put(protect, authorize('admin'), updateStock);
+  .put(protect, requirePermission('product:write'), validate(productSchemas.updateStock), updateStock);
 
 // Advanced filtering examples
 // GET /api/products?category=electronics&price[lt]=1000
 // GET /api/products?select=name,price,rating&sort=-price,rating
 // GET /api/products?page=2&limit=10
-// GET /api/products?search=laptop
+// GET /api/products?search=laptop&sort=relevance
+// GET /api/products?sort=-rating (weighted by the number of reviews)
+// GET /api/products/suggest?q=lap
+// GET /api/products/slug/wireless-mouse
+// GET /api/products/:productId/reviews?sort=helpful&rating=5&withPhotos=true
+// GET /api/products/:productId/questions?answered=false&sort=newest
+// GET /api/products?variant.size=M&variant.colour=Red&inStock=true
+// GET /api/products?brand=Acme&facets=true
 
 module.exports = router;
\ No newline at end of file
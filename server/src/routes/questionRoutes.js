@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  updateQuestion,
+  deleteQuestion,
+  getAnswers,
+  answerQuestion,
+  updateAnswer,
+  deleteAnswer,
+  markOfficial,
+  voteAnswerHelpful,
+  removeAnswerVote,
+  reportQuestion,
+  reportAnswer,
+  getQuestionModerationQueue,
+  getAnswerModerationQueue,
+  approveQuestion,
+  hideQuestion,
+  approveAnswer,
+  hideAnswer
+} = require('../controllers/questionController');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, questionSchemas } = require('../middleware/validation');
+
+// Moderation (before /:id so "moderation" isn't read as an id)
+router.route('/moderation/questions')
+  .get(protect, requirePermission('question:moderate'), validate(questionSchemas.moderationQueue), getQuestionModerationQueue);
+
+router.route('/moderation/answers')
+  .get(protect, requirePermission('question:moderate'), validate(questionSchemas.moderationQueue), getAnswerModerationQueue);
+
+// Answers
+router.route('/answers/:id')
+  .put(protect, validate(questionSchemas.updateAnswer), updateAnswer)
+  .delete(protect, validate(questionSchemas.deleteAnswer), deleteAnswer);
+
+router.route('/answers/:id/helpful')
+  .post(protect, requireVerifiedEmail, validate(questionSchemas.vote), voteAnswerHelpful)
+  .delete(protect, validate(questionSchemas.vote), removeAnswerVote);
+
+router.route('/answers/:id/report')
+  .post(protect, requireVerifiedEmail, validate(questionSchemas.report), reportAnswer);
+
+router.route('/answers/:id/official')
+  .put(protect, requirePermission('question:moderate'), validate(questionSchemas.markOfficial), markOfficial);
+
+router.route('/answers/:id/approve')
+  .put(protect, requirePermission('question:moderate'), validate(questionSchemas.moderate), approveAnswer);
+
+router.route('/answers/:id/hide')
+  .put(protect, requirePermission('question:moderate'), validate(questionSchemas.moderate), hideAnswer);
+
+// Questions
+router.route('/:id')
+  .put(protect, validate(questionSchemas.update), updateQuestion)
+  .delete(protect, validate(questionSchemas.delete), deleteQuestion);
+
+router.route('/:id/answers')
+  .get(validate(questionSchemas.listAnswers), getAnswers)
+  .post(protect, requireVerifiedEmail, validate(questionSchemas.answer), answerQuestion);
+
+router.route('/:id/report')
+  .post(protect, requireVerifiedEmail, validate(questionSchemas.report), reportQuestion);
+
+router.route('/:id/approve')
+  .put(protect, requirePermission('question:moderate'), validate(questionSchemas.moderate), approveQuestion);
+
+router.route('/:id/hide')
+  .put(protect, requirePermission('question:moderate'), validate(questionSchemas.moderate), hideQuestion);
+
+module.exports = router;
\ No newline at end of file
@@ -4,20 +4,55 @@ const {
   getProductReviews,
   addReview,
   updateReview,
-  deleteReview
+  deleteReview,
+  voteHelpful,
+  removeHelpfulVote,
+  reportReview,
+  getModerationQueue,
+  approveReview,
+  hideReview,
+  uploadReviewMedia,
+  removeReviewMedia,
+  recalculateRatings
 } = require('../controllers/reviewController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, reviewSchemas } = require('../middleware/validation');
+const { reviewUpload } = require('../middleware/upload');
 
-// Public route
+// Older path for the reviews of a product (now productReviewRoutes)
 router.route('/product/:productId')
-  .get(getProductReviews);
+  .get(validate(reviewSchemas.list), getProductReviews)
+  .post(protect, requireVerifiedEmail, validate(reviewSchemas.create), addReview);
 
-// Protected routes
-router.route('/product/:productId')
-  .post(protect, addReview);
+// Moderation (before /:id so "moderation" isn't read as an id)
+router.route('/moderation')
+  .get(protect, requirePermission('review:moderate'), validate(reviewSchemas.moderationQueue), getModerationQueue);
+
+router.route('/ratings/recalculate')
+  .post(protect, requirePermission('review:moderate'), validate(reviewSchemas.recalculateRatings), recalculateRatings);
 
 router.route('/:id')
-  .put(protect, updateReview)
-  .delete(protect, deleteReview);
+  .put(protect, validate(reviewSchemas.update), updateReview)
+  .delete(protect, validate(reviewSchemas.delete), deleteReview);
+
+// Photos and videos (params are checked before the files are stored)
+router.route('/:id/media')
+  .post(protect, validate(reviewSchemas.uploadMedia), reviewUpload.array('media', 5), uploadReviewMedia);
+
+router.route('/:id/media/:mediaId')
+  .delete(protect, validate(reviewSchemas.removeMedia), removeReviewMedia);
+
+router.route('/:id/helpful')
+  .post(protect, requireVerifiedEmail, validate(reviewSchemas.vote), voteHelpful)
+  .delete(protect, validate(reviewSchemas.vote), removeHelpfulVote);
+
+router.route('/:id/report')
+  .post(protect, requireVerifiedEmail, validate(reviewSchemas.report), reportReview);
+
+router.route('/:id/approve')
+  .put(protect, requirePermission('review:moderate'), validate(reviewSchemas.moderate), approveReview);
+
+router.route('/:id/hide')
+  .put(protect, requirePermission('review:moderate'), validate(reviewSchemas.moderate), hideReview);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate, roleSchemas } = require('../middleware/validation');
+
+// Protected admin routes
+router.route('/permissions')
+  .get(protect, requirePermission('role:manage'), getPermissions);
+
+router.route('/')
+  .get(protect, requirePermission('role:manage'), getRoles)
+  .post(protect, requirePermission('role:manage'), validate(roleSchemas.create), createRole);
+
+router.route('/:id')
+  .get(protect, requirePermission('role:manage'), validate(roleSchemas.get), getRole)
+  .put(protect, requirePermission('role:manage'), validate(roleSchemas.update), updateRole)
+  .delete(protect, requirePermission('role:manage'), validate(roleSchemas.delete), deleteRole);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym
+} = require('../controllers/searchController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate, searchSchemas } = require('../middleware/validation');
+
+// Protected admin routes
+router.route('/synonyms')
+  .get(protect, requirePermission('search:manage'), validate(searchSchemas.listSynonyms), getSynonyms)
+  .post(protect, requirePermission('search:manage'), validate(searchSchemas.createSynonym), createSynonym);
+
+router.route('/synonyms/:id')
+  .put(protect, requirePermission('search:manage'), validate(searchSchemas.updateSynonym), updateSynonym)
+  .delete(protect, requirePermission('search:manage'), validate(searchSchemas.deleteSynonym), deleteSynonym);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  getLockouts,
+  clearLockout
+} = require('../controllers/userController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { validate, userSchemas } = require('../middleware/validation');
+
+// Protected admin routes
+// Lockouts (before /:id so "lockouts" isn't read as an id)
+router.route('/lockouts')
+  .get(protect, requirePermission('user:manage'), validate(userSchemas.listLockouts), getLockouts);
+
+router.route('/lockouts/:id')
+  .delete(protect, requirePermission('user:manage'), validate(userSchemas.clearLockout), clearLockout);
+
+router.route('/')
+  .get(protect, requirePermission('user:read'), validate(userSchemas.list), getUsers);
+
+router.route('/:id')
+  .get(protect, requirePermission('user:read'), validate(userSchemas.get), getUser);
+
+router.route('/:id/role')
+  .put(protect, requirePermission('user:manage'), validate(userSchemas.updateRole), updateUserRole);
+
+router.route('/:id/deactivate')
+  .put(protect, requirePermission('user:manage'), validate(userSchemas.manage), deactivateUser);
+
+router.route('/:id/reactivate')
+  .put(protect, requirePermission('user:manage'), validate(userSchemas.manage), reactivateUser);
+
+router.route('/:id/force-password-reset')
+  .post(protect, requirePermission('user:manage'), validate(userSchemas.manage), forcePasswordReset);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  toggleWishlist,
+  getCartReadyItems,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist
+} = require('../controllers/wishlistController');
+const { protect } = require('../middleware/auth');
+const { validate, wishlistSchemas } = require('../middleware/validation');
+
+// Public routes
+router.route('/shared/:token')
+  .get(validate(wishlistSchemas.shared), getSharedWishlist);
+
+// Protected routes
+router.route('/')
+  .get(protect, getWishlist);
+
+router.route('/cart-items')
+  .get(protect, getCartReadyItems);
+
+router.route('/share')
+  .post(protect, shareWishlist)
+  .delete(protect, unshareWishlist);
+
+router.route('/:productId')
+  .post(protect, validate(wishlistSchemas.item), addToWishlist)
+  .delete(protect, validate(wishlistSchemas.item), removeFromWishlist);
+
+router.route('/:productId/toggle')
+  .post(protect, validate(wishlistSchemas.item), toggleWishlist);
+
+module.exports = router;
\ No newline at end of file
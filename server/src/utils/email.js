@@ -0,0 +1,121 @@
+const EmailMessage = require('../models/EmailMessage');
+const { renderTemplate } = require('./emailTemplates');
+const { getTransport } = require('./emailTransports');
+
+// Give up on a message after this many failed attempts
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+
+// A message claimed for longer than this is assumed lost and retried
+const LOCK_TIMEOUT = 5 * 60 * 1000;
+
+// Wait before retrying: 1, 2, 4, 8... minutes
+const retryDelay = (attempts) => Math.pow(2, attempts - 1) * 60 * 1000;
+
+let processing = false;
+
+// Render a template and add it to the outbox, then try to send it
+// straight away. Delivery failures are retried by the outbox worker.
+const queueEmail = async (to, template, data, { sensitive = false } = {}) => {
+  const { subject, text, html } = renderTemplate(template, data);
+
+  const message = await EmailMessage.create({
+    to,
+    template,
+    subject,
+    text,
+    html,
+    sensitive
+  });
+
+  processOutbox().catch(error => console.error('Email outbox error:', error.message));
+
+  return message;
+};
+
+// Send one claimed message and record the result
+const deliver = async (message) => {
+  try {
+    await getTransport().send({
+      from: process.env.EMAIL_FROM || 'no-reply@example.com',
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    const update = {
+      $set: { status: 'sent', sentAt: new Date() },
+      $unset: { lockedAt: 1, lastError: 1 }
+    };
+
+    if (message.sensitive) {
+      update.$unset.text = 1;
+      update.$unset.html = 1;
+    }
+
+    await EmailMessage.updateOne({ _id: message._id }, update);
+  } catch (error) {
+    const failed = message.attempts >= MAX_ATTEMPTS;
+
+    await EmailMessage.updateOne({ _id: message._id }, {
+      $set: {
+        status: failed ? 'failed' : 'pending',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + retryDelay(message.attempts))
+      },
+      $unset: { lockedAt: 1 }
+    });
+  }
+};
+
+// Send the messages that are due. Each message is claimed atomically,
+// so several server instances can share the outbox.
+// Returns the number of messages attempted.
+const processOutbox = async ({ limit = 50 } = {}) => {
+  if (processing) return 0;
+  processing = true;
+
+  let attempted = 0;
+
+  try {
+    while (attempted < limit) {
+      const now = new Date();
+
+      const message = await EmailMessage.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+          ]
+        },
+        {
+          $set: { status: 'sending', lockedAt: now },
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+
+      if (!message) break;
+
+      await deliver(message);
+      attempted++;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+};
+
+// Retry due messages every interval (milliseconds)
+const startOutboxWorker = (interval = parseInt(process.env.EMAIL_OUTBOX_INTERVAL, 10) || 30000) => {
+  const timer = setInterval(() => {
+    processOutbox().catch(error => console.error('Email outbox error:', error.message));
+  }, interval);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
+
+module.exports = { queueEmail, processOutbox, startOutboxWorker };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const appName = () => process.env.APP_NAME || 'E-commerce Store';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap paragraphs of plain text in a minimal HTML document
+const layout = (paragraphs) => [
+  '<!DOCTYPE html>',
+  '<html><body style="font-family: sans-serif; line-height: 1.5;">',
+  ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+  `<p>${escapeHtml(appName())}</p>`,
+  '</body></html>'
+].join('\n');
+
+// "10 minutes", "1 hour", "24 hours"
+const formatMinutes = (minutes) => {
+  if (minutes < 60 || minutes % 60 !== 0) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const link = (url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+
+// Each template takes its data and returns { subject, text, html }
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: `Reset your ${appName()} password`,
+    text: [
+      `Hi ${name},`,
+      `We received a request to reset your password. Open this link to choose a new one (it expires in ${formatMinutes(expiresInMinutes)}):`,
+      resetUrl,
+      'If you didn\'t ask for this, you can ignore this email.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `We received a request to reset your password. Open this link to choose a new one (it expires in ${formatMinutes(expiresInMinutes)}):`,
+      link(resetUrl),
+      'If you didn\'t ask for this, you can ignore this email.'
+    ])
+  }),
+
+  verifyEmail: ({ name, verifyUrl }) => ({
+    subject: `Verify your ${appName()} email address`,
+    text: [
+      `Hi ${name},`,
+      'Please confirm your email address by opening this link:',
+      verifyUrl,
+      'If you didn\'t create an account, you can ignore this email.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      'Please confirm your email address by opening this link:',
+      link(verifyUrl),
+      'If you didn\'t create an account, you can ignore this email.'
+    ])
+  }),
+
+  welcome: ({ name }) => ({
+    subject: `Welcome to ${appName()}`,
+    text: [
+      `Hi ${name},`,
+      `Thanks for creating an account with ${appName()}.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `Thanks for creating an account with ${escapeHtml(appName())}.`
+    ])
+  }),
+
+  passwordChanged: ({ name }) => ({
+    subject: `Your ${appName()} password was changed`,
+    text: [
+      `Hi ${name},`,
+      'The password for your account was just changed and all other devices have been logged out.',
+      'If this wasn\'t you, reset your password straight away.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      'The password for your account was just changed and all other devices have been logged out.',
+      'If this wasn\'t you, reset your password straight away.'
+    ])
+  })
+};
+
+// Render a template by name
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(data);
+};
+
+module.exports = { templates, renderTemplate, escapeHtml };
\ No newline at end of file
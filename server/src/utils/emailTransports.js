@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// A transport delivers one message: send({ from, to, subject, text, html })
+
+// Sends through an SMTP server
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes each message to a JSON file, for local development
+const createFileTransport = () => {
+  const directory = process.env.EMAIL_FILE_DIR || 'emails';
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]+/gi, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    }
+  };
+};
+
+// Keeps messages in memory, for tests
+const sentMessages = [];
+
+const createMemoryTransport = () => ({
+  send: async (message) => {
+    sentMessages.push({ ...message, sentAt: new Date() });
+  }
+});
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+let transport;
+
+// Add a transport that can be chosen with EMAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Use a transport instead of the configured one (e.g. in tests)
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+// Transports that keep messages on this server. They would expose reset
+// and verification links, so production never uses them.
+const LOCAL_TRANSPORTS = ['file', 'memory'];
+
+// The configured transport. EMAIL_TRANSPORT picks one by name; without it
+// SMTP is used when SMTP_HOST is set, otherwise messages go to files
+// (or memory under NODE_ENV=test). Production requires a real transport.
+const getTransport = () => {
+  if (transport) return transport;
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  let name = process.env.EMAIL_TRANSPORT;
+
+  if (!name) {
+    if (process.env.SMTP_HOST) name = 'smtp';
+    else if (isProduction) throw new Error('No email transport configured: set SMTP_HOST or EMAIL_TRANSPORT');
+    else name = process.env.NODE_ENV === 'test' ? 'memory' : 'file';
+  }
+
+  if (!factories[name]) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  if (isProduction && LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error(`The ${name} email transport cannot be used in production`);
+  }
+
+  transport = factories[name]();
+  return transport;
+};
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  getTransport,
+  sentMessages
+};
\ No newline at end of file
@@ -0,0 +1,99 @@
+// Errors with an HTTP status and a stable, machine-readable code. Pass
+// them to next() (or throw them) and errorHandler turns them into the
+// JSON error response. Codes are part of the API: clients can rely on
+// them, so don't change existing ones.
+class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+
+    // Per-field problems: [{ field, message }]
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+// The request can't be carried out as asked (business rule, bad state...)
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', options = {}) {
+    super(message, { statusCode: 400, code: 'BAD_REQUEST', ...options });
+  }
+}
+
+// Input failed validation; details says which fields and why
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', options = {}) {
+    super(message, { statusCode: 400, code: 'VALIDATION_FAILED', ...options });
+  }
+}
+
+// Missing, invalid or expired credentials
+class AuthenticationError extends AppError {
+  constructor(message = 'Not authorized to access this route', options = {}) {
+    super(message, { statusCode: 401, code: 'UNAUTHENTICATED', ...options });
+  }
+}
+
+// Authenticated, but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', options = {}) {
+    super(message, { statusCode: 403, code: 'FORBIDDEN', ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', options = {}) {
+    super(message, { statusCode: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+// Clashes with the current state of a resource, e.g. a duplicate value
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { statusCode: 409, code: 'CONFLICT', ...options });
+  }
+}
+
+// Too many attempts; retryAfter is the wait in seconds
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', { retryAfter, ...options } = {}) {
+    super(message, { statusCode: 429, code: 'RATE_LIMITED', ...options });
+
+    if (retryAfter !== undefined) {
+      this.retryAfter = retryAfter;
+    }
+  }
+}
+
+const ERROR_CLASSES = {
+  400: BadRequestError,
+  401: AuthenticationError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: RateLimitError
+};
+
+// Error for a status code, for helpers that report { status, error }
+const createError = (statusCode, message, options = {}) => {
+  const ErrorClass = ERROR_CLASSES[statusCode];
+
+  return ErrorClass
+    ? new ErrorClass(message, options)
+    : new AppError(message, { statusCode, ...options });
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  createError
+};
\ No newline at end of file
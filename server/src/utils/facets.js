@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+
+// Lower bounds of the price buckets; the last bucket has no upper bound
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// "N stars & up" rating buckets
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+// Copy a filter without some of its top-level conditions
+const omit = (filter, keys) => {
+  const copy = { ...filter };
+  keys.forEach(key => delete copy[key]);
+  return copy;
+};
+
+// Cast query values to the schema types, as aggregate() doesn't
+const match = (Product, filter) => ({
+  $match: Product.find(filter).cast(Product)
+});
+
+const getBrandFacet = async (Product, filter) => {
+  const results = await Product.aggregate([
+    match(Product, omit(filter, ['brand'])),
+    { $match: { brand: { $nin: [null, ''] } } },
+    { $group: { _id: '$brand', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return results.map(result => ({ value: result._id, count: result.count }));
+};
+
+// Counts per category, plus a tree where each category also counts
+// the products of its subcategories
+const getCategoryFacet = async (Product, filter) => {
+  const [results, categories] = await Promise.all([
+    Product.aggregate([
+      match(Product, omit(filter, ['category'])),
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]),
+    mongoose.model('Category').find({ isActive: true }).select('name slug parentCategory')
+  ]);
+
+  const ownCounts = new Map(results.map(result => [String(result._id), result.count]));
+  const categoryMap = new Map(categories.map(category => [category._id.toString(), category]));
+  const totals = new Map();
+
+  // Add each category's own count to itself and all its ancestors
+  for (const [id, count] of ownCounts) {
+    const visited = new Set();
+    let current = categoryMap.get(id);
+
+    while (current && !visited.has(current._id.toString())) {
+      const currentId = current._id.toString();
+      visited.add(currentId);
+      totals.set(currentId, (totals.get(currentId) || 0) + count);
+      current = current.parentCategory && categoryMap.get(current.parentCategory.toString());
+    }
+  }
+
+  const values = categories
+    .filter(category => ownCounts.has(category._id.toString()))
+    .map(category => ({
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      count: ownCounts.get(category._id.toString())
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const buildTree = (parentId = null, visited = new Set()) => categories
+    .filter(category => {
+      const id = category._id.toString();
+      if (!totals.has(id) || visited.has(id)) return false;
+      if (parentId === null) {
+        return !category.parentCategory || !categoryMap.has(category.parentCategory.toString());
+      }
+      return category.parentCategory && category.parentCategory.toString() === parentId;
+    })
+    .map(category => {
+      const id = category._id.toString();
+      return {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        count: totals.get(id),
+        children: buildTree(id, new Set([...visited, id]))
+      };
+    });
+
+  return { values, tree: buildTree() };
+};
+
+const getPriceFacet = async (Product, filter) => {
+  const results = await Product.aggregate([
+    match(Product, omit(filter, ['currentPrice'])),
+    { $match: { currentPrice: { $gte: 0 } } },
+    {
+      $bucket: {
+        groupBy: '$currentPrice',
+        boundaries: PRICE_BUCKETS,
+        default: 'over',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]);
+
+  const last = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  return results.map(result => {
+    if (result._id === 'over') {
+      return { min: last, max: null, count: result.count };
+    }
+    const index = PRICE_BUCKETS.indexOf(result._id);
+    return { min: result._id, max: PRICE_BUCKETS[index + 1], count: result.count };
+  });
+};
+
+const getRatingFacet = async (Product, filter) => {
+  const group = { _id: null };
+  RATING_BUCKETS.forEach(min => {
+    group[`r${min}`] = { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } };
+  });
+
+  const [result] = await Product.aggregate([
+    match(Product, omit(filter, ['rating'])),
+    { $group: group }
+  ]);
+
+  return RATING_BUCKETS.map(min => ({ min, count: result ? result[`r${min}`] : 0 }));
+};
+
+const getAvailabilityFacet = async (Product, filter) => {
+  const [result] = await Product.aggregate([
+    match(Product, omit(filter, ['stock'])),
+    {
+      $group: {
+        _id: null,
+        inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+        outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } }
+      }
+    }
+  ]);
+
+  return {
+    inStock: result ? result.inStock : 0,
+    outOfStock: result ? result.outOfStock : 0
+  };
+};
+
+// Count values of the given specification keys (or of all keys except `exclude`)
+const countSpecifications = (Product, filter, { keys, exclude = [] }) => Product.aggregate([
+  match(Product, filter),
+  { $project: { spec: { $objectToArray: '$specifications' } } },
+  { $unwind: '$spec' },
+  { $match: { 'spec.k': keys ? { $in: keys } : { $nin: exclude } } },
+  { $group: { _id: { key: '$spec.k', value: '$spec.v' }, count: { $sum: 1 } } },
+  { $sort: { count: -1, '_id.value': 1 } }
+]);
+
+// Filtered specification keys are counted without their own filter
+const getSpecificationFacet = async (Product, filter) => {
+  const filteredKeys = Object.keys(filter)
+    .filter(key => key.startsWith('specifications.'))
+    .map(key => key.slice('specifications.'.length));
+
+  const results = await Promise.all([
+    countSpecifications(Product, filter, { exclude: filteredKeys }),
+    ...filteredKeys.map(key => countSpecifications(
+      Product,
+      omit(filter, [`specifications.${key}`]),
+      { keys: [key] }
+    ))
+  ]);
+
+  const specifications = {};
+
+  results.flat().forEach(({ _id, count }) => {
+    if (!specifications[_id.key]) {
+      specifications[_id.key] = [];
+    }
+    specifications[_id.key].push({ value: _id.value, count });
+  });
+
+  return specifications;
+};
+
+// Filter counts for a product listing. Each facet is counted against the
+// listing filter without that facet's own condition, so choosing a brand
+// still shows the counts for the other brands.
+const getProductFacets = async (filter) => {
+  const Product = mongoose.model('Product');
+
+  const [brands, categories, price, rating, availability, specifications] = await Promise.all([
+    getBrandFacet(Product, filter),
+    getCategoryFacet(Product, filter),
+    getPriceFacet(Product, filter),
+    getRatingFacet(Product, filter),
+    getAvailabilityFacet(Product, filter),
+    getSpecificationFacet(Product, filter)
+  ]);
+
+  return {
+    brands,
+    categories: categories.values,
+    categoryTree: categories.tree,
+    price,
+    rating,
+    availability,
+    specifications
+  };
+};
+
+module.exports = { getProductFacets };
\ No newline at end of file
@@ -0,0 +1,30 @@
+// Public URLs sent to users (emails, share links). They are always built
+// from configuration, never from request headers, which a client controls.
+//
+// APP_URL is the public URL of this API and CLIENT_URL that of the
+// frontend. APP_URL is required in production; elsewhere it defaults to
+// the local server.
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Base URL of the API. Throws in production when APP_URL is not set.
+const getApiUrl = () => {
+  if (process.env.APP_URL) return trimSlash(process.env.APP_URL);
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No public URL configured: set APP_URL');
+  }
+
+  return `http://localhost:${process.env.PORT || 5000}`;
+};
+
+// Link to an API route
+const apiLink = (apiPath) => `${getApiUrl()}${apiPath}`;
+
+// Link for an email: the client's page when CLIENT_URL is set,
+// otherwise the API route that handles it
+const appLink = (clientPath, apiPath) => (process.env.CLIENT_URL
+  ? `${trimSlash(process.env.CLIENT_URL)}${clientPath}`
+  : apiLink(apiPath));
+
+module.exports = { getApiUrl, apiLink, appLink };
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+// Content from before moderation has no status and counts as published
+const PUBLISHED = { status: { $nin: ['pending', 'hidden'] } };
+
+// Mongoose plugin for user content that other users can report and
+// moderators approve or hide (reviews, questions, answers).
+// Options: reportThreshold - reports from this many users hide the content
+// until a moderator looks at it.
+const moderationPlugin = (schema, { reportThreshold = 3 } = {}) => {
+  schema.add({
+    // pending content waits for approval, hidden content was reported or
+    // hidden by a moderator. Only published content is shown.
+    status: {
+      type: String,
+      enum: ['published', 'pending', 'hidden'],
+      default: 'published'
+    },
+    // Reports since a moderator last approved the content
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    // Every report, kept after approval so a user can only report once
+    reports: {
+      type: [{
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reason: {
+          type: String,
+          enum: REPORT_REASONS
+        },
+        details: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Report details cannot exceed 500 characters']
+        },
+        reportedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      select: false
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
+    moderationNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Moderation note cannot exceed 500 characters']
+    }
+  });
+
+  schema.index({ status: 1, reportCount: -1 });
+
+  // Record a report from a user. Returns the updated document, or null if
+  // the user has already reported it. Reaching the threshold hides it.
+  schema.statics.report = async function(id, userId, { reason, details }) {
+    const doc = await this.findOneAndUpdate(
+      { _id: id, 'reports.user': { $ne: userId } },
+      {
+        $push: { reports: { user: userId, reason, details } },
+        $inc: { reportCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!doc) {
+      return null;
+    }
+
+    if (doc.status === 'published' && doc.reportCount >= reportThreshold) {
+      const hidden = await this.findOneAndUpdate(
+        { _id: doc._id, ...PUBLISHED },
+        { status: 'hidden', moderationNote: 'Hidden automatically after reports' },
+        { new: true }
+      );
+
+      if (hidden) {
+        return hidden;
+      }
+    }
+
+    return doc;
+  };
+
+  // Set the status as a moderator. Approving clears the reports so far.
+  schema.methods.moderate = function(status, moderator, note) {
+    this.status = status;
+    this.moderatedBy = moderator;
+    this.moderatedAt = new Date();
+    this.moderationNote = note;
+
+    if (status === 'published') {
+      this.reportCount = 0;
+    }
+
+    return this.save();
+  };
+
+  // Filter for content waiting for a moderator: pending, hidden or reported
+  schema.statics.flaggedFilter = function() {
+    return { $or: [{ status: { $in: ['pending', 'hidden'] } }, { reportCount: { $gt: 0 } }] };
+  };
+
+  schema.statics.REPORT_REASONS = REPORT_REASONS;
+  schema.statics.PUBLISHED = PUBLISHED;
+};
+
+module.exports = { moderationPlugin, REPORT_REASONS, PUBLISHED };
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Round a money amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Turn requested { productId, variantId, quantity } items into priced lines.
+// Repeated products (and variants) are combined into a single line.
+// Returns { lines } or { status, error } when an item can't be bought.
+const priceItems = async (requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { status: 400, error: 'Please provide at least one item' };
+  }
+
+  const quantities = new Map();
+
+  for (const item of requested) {
+    const quantity = Number(item.quantity);
+
+    if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+      return { status: 400, error: 'Each item needs a productId and a quantity of at least 1' };
+    }
+
+    const key = `${item.productId}:${item.variantId || ''}`;
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+
+  const keys = [...quantities.keys()].map(key => key.split(':'));
+
+  const products = await mongoose.model('Product').find({
+    _id: { $in: keys.map(([productId]) => productId) },
+    isActive: true
+  });
+
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const lines = [];
+
+  for (const [productId, variantId] of keys) {
+    const product = productMap.get(productId);
+
+    if (!product) {
+      return { status: 404, error: `Product not found: ${productId}` };
+    }
+
+    if (product.variants.length > 0 && !variantId) {
+      return { status: 400, error: `Please choose a variant for ${product.name}` };
+    }
+
+    const variant = product.findVariant(variantId);
+
+    if (variantId && !variant) {
+      return { status: 404, error: `Variant not found: ${variantId}` };
+    }
+
+    const quantity = quantities.get(`${productId}:${variantId || ''}`);
+    const price = variant && variant.price != null ? variant.price : product.price;
+    const unitPrice = roundPrice((variant || product).finalPrice);
+
+    lines.push({
+      product,
+      variant,
+      quantity,
+      price,
+      unitPrice,
+      lineTotal: roundPrice(unitPrice * quantity)
+    });
+  }
+
+  return { lines };
+};
+
+// Reprice products whose sale started or ended, now and then every
+// interval (milliseconds), so listings never wait for it
+const startSalePriceWorker = (interval = parseInt(process.env.SALE_REFRESH_INTERVAL, 10) || 60000) => {
+  const refresh = () => mongoose.model('Product').refreshSalePrices()
+    .catch(error => console.error('Sale repricing error:', error.message));
+
+  refresh();
+  const timer = setInterval(refresh, interval);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+  return timer;
+};
+
+module.exports = { roundPrice, priceItems, startSalePriceWorker };
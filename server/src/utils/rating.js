@@ -0,0 +1,11 @@
+// Bayesian rating score used to rank products by rating. Every product
+// starts with PRIOR_WEIGHT imaginary reviews of PRIOR_MEAN stars, so a
+// single 5-star review doesn't outrank hundreds of 4.8-star ones: the
+// score only approaches the real average as reviews build up.
+const PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN) || 3;
+const PRIOR_WEIGHT = parseFloat(process.env.RATING_PRIOR_WEIGHT) || 5;
+
+const bayesianScore = (average, count) =>
+  (PRIOR_MEAN * PRIOR_WEIGHT + average * count) / (PRIOR_WEIGHT + count);
+
+module.exports = { bayesianScore, PRIOR_MEAN, PRIOR_WEIGHT };
\ No newline at end of file
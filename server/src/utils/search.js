@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+// Vocabulary and synonyms are cached and rebuilt after this long
+const CACHE_TTL = 5 * 60 * 1000;
+
+let vocabularyCache = { builtAt: 0 };
+let synonymCache = { builtAt: 0 };
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase words of a text
+const tokenize = (text) => String(text)
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Very small English stemmer: strips plural and common verb endings
+const stem = (word) => {
+  if (word.length <= 3) return word;
+
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(xes|ches|shes|zes)$/.test(word)) return word.slice(0, -2);
+
+  let stemmed = word;
+  if (stemmed.endsWith('s') && !stemmed.endsWith('ss') && !stemmed.endsWith('us')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  if (stemmed.endsWith('ing') && stemmed.length > 5) return stemmed.slice(0, -3);
+  if (stemmed.endsWith('ed') && stemmed.length > 4) return stemmed.slice(0, -2);
+
+  return stemmed;
+};
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds max
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Number of typos tolerated for a word of this length
+const maxEdits = (word) => {
+  if (word.length <= 2) return 0;
+  if (word.length <= 5) return 1;
+  return 2;
+};
+
+// Words used in product names, brands and category names, with how often
+// they appear. Hyphenated words are also stored joined ("t-shirt" as
+// "tshirt") so they can be matched when typed without the hyphen.
+const getVocabulary = async () => {
+  if (Date.now() - vocabularyCache.builtAt < CACHE_TTL) {
+    return vocabularyCache;
+  }
+
+  const [products, categories] = await Promise.all([
+    mongoose.model('Product').find({ isActive: true }).select('name brand').lean(),
+    mongoose.model('Category').find({ isActive: true }).select('name').lean()
+  ]);
+
+  const words = new Map();
+  const stems = new Map();
+  const compounds = new Map();
+
+  const texts = [
+    ...products.flatMap(product => [product.name, product.brand]),
+    ...categories.map(category => category.name)
+  ].filter(Boolean);
+
+  for (const text of texts) {
+    for (const word of tokenize(text)) {
+      words.set(word, (words.get(word) || 0) + 1);
+
+      const wordStem = stem(word);
+      if (!stems.has(wordStem)) stems.set(wordStem, new Set());
+      stems.get(wordStem).add(word);
+    }
+
+    for (const compound of text.toLowerCase().match(/[a-z0-9]+(-[a-z0-9]+)+/g) || []) {
+      compounds.set(compound.replace(/-/g, ''), tokenize(compound));
+    }
+  }
+
+  vocabularyCache = { builtAt: Date.now(), words, stems, compounds };
+  return vocabularyCache;
+};
+
+// Map of word stem to the words of every synonym group it belongs to
+const getSynonyms = async () => {
+  if (Date.now() - synonymCache.builtAt < CACHE_TTL) {
+    return synonymCache.synonyms;
+  }
+
+  const groups = await mongoose.model('Synonym').find().lean();
+  const synonyms = new Map();
+
+  for (const group of groups) {
+    for (const term of group.terms) {
+      // Multi-word terms are found by their joined form ("t shirt" as "tshirt")
+      const key = stem(tokenize(term).join(''));
+      if (!synonyms.has(key)) synonyms.set(key, new Set());
+      group.terms.forEach(other => synonyms.get(key).add(other));
+    }
+  }
+
+  synonymCache = { builtAt: Date.now(), synonyms };
+  return synonyms;
+};
+
+// Forget cached vocabulary and synonyms (after they are edited)
+const clearSearchCache = () => {
+  vocabularyCache = { builtAt: 0 };
+  synonymCache = { builtAt: 0 };
+};
+
+const isKnownWord = (vocabulary, word) =>
+  vocabulary.words.has(word) || vocabulary.stems.has(stem(word)) || vocabulary.compounds.has(word);
+
+// Closest vocabulary words to a misspelt word, best first
+const findClosestWords = (vocabulary, word, max) => {
+  const matches = [];
+
+  for (const [candidate, frequency] of vocabulary.words) {
+    const distance = editDistance(word, candidate, max);
+    if (distance <= max) {
+      matches.push({ word: candidate, distance, frequency });
+    }
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance || b.frequency - a.frequency)
+    .map(match => match.word);
+};
+
+// Expand a search query into the words to look for: misspelt words are
+// corrected against the catalog vocabulary, joined compounds are split
+// ("tshirt" to "t shirt") and synonyms are added.
+const expandQuery = async (query) => {
+  const [vocabulary, synonyms] = await Promise.all([getVocabulary(), getSynonyms()]);
+  const terms = new Set();
+  const corrections = {};
+
+  for (const word of tokenize(query)) {
+    let matches = [word];
+
+    if (!isKnownWord(vocabulary, word) && !synonyms.has(stem(word))) {
+      const closest = findClosestWords(vocabulary, word, maxEdits(word)).slice(0, 3);
+      if (closest.length > 0) {
+        matches = closest;
+        corrections[word] = closest[0];
+      }
+    }
+
+    for (const match of matches) {
+      (vocabulary.compounds.get(match) || [match]).forEach(part => terms.add(part));
+
+      for (const synonym of synonyms.get(stem(match)) || []) {
+        tokenize(synonym).forEach(part => terms.add(part));
+      }
+    }
+  }
+
+  return {
+    terms: [...terms].filter(term => term.length > 1),
+    corrections
+  };
+};
+
+// Suggest a corrected query for a search that found nothing (or null)
+const suggestQuery = async (query) => {
+  const vocabulary = await getVocabulary();
+  let changed = false;
+
+  const words = tokenize(query).map(word => {
+    if (isKnownWord(vocabulary, word)) return word;
+
+    // Allow one more typo than the search itself did
+    const [closest] = findClosestWords(vocabulary, word, maxEdits(word) + 1);
+    if (!closest) return word;
+
+    changed = true;
+    return closest;
+  });
+
+  return changed ? words.join(' ') : null;
+};
+
+module.exports = {
+  escapeRegex,
+  tokenize,
+  stem,
+  editDistance,
+  expandQuery,
+  suggestQuery,
+  clearSearchCache
+};
@@ -0,0 +1,110 @@
+// URL friendly version of a name, e.g. "Men's T-Shirts" to "men-s-t-shirts"
+const slugify = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+// A slug for the name that no other document uses, now or in its slug
+// history. Taken slugs get a numeric suffix ("desk-lamp-2").
+const uniqueSlug = async (Model, name, excludeId) => {
+  const base = slugify(name) || 'item';
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const taken = await Model.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { slugHistory: pattern }]
+  }).select('slug slugHistory').lean();
+
+  const used = new Set(taken.flatMap(doc => [doc.slug, ...(doc.slugHistory || [])]));
+
+  if (!used.has(base)) return base;
+
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) suffix++;
+
+  return `${base}-${suffix}`;
+};
+
+// Schema plugin giving a model a unique slug generated from its name.
+// Renaming the document changes its slug and keeps the old one in
+// slugHistory, so links using it can still be resolved.
+const slugPlugin = (schema) => {
+  schema.add({
+    slugHistory: {
+      type: [String],
+      select: false
+    }
+  });
+
+  schema.index({ slugHistory: 1 });
+
+  // Remember the slug the document was loaded with
+  schema.post('init', function() {
+    this.$locals.loadedSlug = this.slug;
+  });
+
+  schema.pre('validate', async function() {
+    if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+      this.slug = await uniqueSlug(this.constructor, this.name, this._id);
+    } else if (this.isModified('slug')) {
+      this.slug = slugify(this.slug);
+    }
+
+    const previous = this.$locals.loadedSlug;
+
+    if (previous && previous !== this.slug) {
+      // slugHistory isn't selected by default, so push rather than set it
+      this.$locals.previousSlug = previous;
+    }
+  });
+
+  schema.post('save', async function() {
+    const previous = this.$locals.previousSlug;
+
+    if (previous) {
+      await this.constructor.updateOne(
+        { _id: this._id },
+        [{
+          $set: {
+            slugHistory: {
+              $setDifference: [
+                { $setUnion: [{ $ifNull: ['$slugHistory', []] }, [previous]] },
+                [this.slug]
+              ]
+            }
+          }
+        }],
+        { updatePipeline: true }
+      );
+    }
+
+    this.$locals.loadedSlug = this.slug;
+    delete this.$locals.previousSlug;
+  });
+
+  // Find by current slug, falling back to a slug the document used to have.
+  // Compare the result's slug with the one asked for to tell if it moved.
+  schema.statics.findBySlug = async function(slug, filter = {}) {
+    return await this.findOne({ ...filter, slug }) ||
+      this.findOne({ ...filter, slugHistory: slug });
+  };
+
+  // Give documents saved before slugs existed a unique slug, one at a time
+  // so each new slug is seen by the next. Returns the number updated.
+  schema.statics.backfillSlugs = async function() {
+    const missing = await this.find({ slug: { $in: [null, ''] } }).select('name');
+
+    for (const doc of missing) {
+      await this.updateOne(
+        { _id: doc._id },
+        { $set: { slug: await uniqueSlug(this, doc.name, doc._id) } }
+      );
+    }
+
+    return missing.length;
+  };
+};
+
+module.exports = { slugify, uniqueSlug, slugPlugin };
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, callHandler } = require('./helpers');
+const User = require('../src/models/User');
+const EmailMessage = require('../src/models/EmailMessage');
+const { forgotPassword } = require('../src/controllers/authController');
+
+const requestReset = (email) => callHandler(forgotPassword, { ip: '10.0.0.1', body: { email } });
+
+before(connect);
+after(disconnect);
+
+describe('forgot password', () => {
+  beforeEach(clear);
+
+  it('answers the same for known and unknown addresses', async () => {
+    await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'secret123' });
+
+    const known = await requestReset('shopper@example.com');
+    const unknown = await requestReset('nobody@example.com');
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(known.body, unknown.body);
+    assert.equal(await EmailMessage.countDocuments({ to: 'shopper@example.com' }), 1);
+  });
+
+  it('answers the same when the email cannot be queued', async () => {
+    await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'secret123' });
+    const unknown = await requestReset('nobody@example.com');
+
+    const create = EmailMessage.create;
+    EmailMessage.create = async () => {
+      throw new Error('Outbox unavailable');
+    };
+
+    try {
+      const known = await requestReset('shopper@example.com');
+
+      assert.equal(known.status, 200);
+      assert.deepEqual(known.body, unknown.body);
+    } finally {
+      EmailMessage.create = create;
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, id, createProduct, callHandler } = require('./helpers');
+const Cart = require('../src/models/Cart');
+const { getCart, addItem, mergeCart } = require('../src/controllers/cartController');
+
+// Add an item to a guest cart (a new one when no token is given)
+const addAsGuest = (body, cartToken) => callHandler(addItem, {
+  body,
+  headers: cartToken ? { 'x-cart-token': cartToken } : {}
+});
+
+const createShirt = () => createProduct({
+  price: 20,
+  options: [{ name: 'size', values: ['S', 'L'] }],
+  variants: [
+    { sku: 'SHIRT-S', options: { size: 'S' }, stock: 2 },
+    { sku: 'SHIRT-L', options: { size: 'L' }, price: 25, stock: 5 }
+  ]
+});
+
+before(connect);
+after(disconnect);
+
+describe('cart pricing', () => {
+  beforeEach(clear);
+
+  it('gives guests a cart token and keeps adding to the same cart', async () => {
+    const lamp = await createProduct({ price: 10 });
+
+    const first = await addAsGuest({ productId: lamp.id, quantity: 1 });
+    const second = await addAsGuest({ productId: lamp.id, quantity: 2 }, first.body.cartToken);
+
+    assert.equal(first.status, 201);
+    assert.ok(first.body.cartToken);
+    assert.equal(second.body.cartToken, first.body.cartToken);
+    assert.equal(second.body.data.items[0].quantity, 3);
+    assert.equal(await Cart.countDocuments(), 1);
+  });
+
+  it('prices lines from current sale and variant prices', async () => {
+    const lamp = await createProduct({ price: 40, discount: { percentage: 25 } });
+    const shirt = await createShirt();
+    const large = shirt.variants[1];
+
+    const { body } = await addAsGuest({ productId: lamp.id, quantity: 2 });
+    const { body: cart } = await addAsGuest(
+      { productId: shirt.id, variantId: large.id, quantity: 1 },
+      body.cartToken
+    );
+
+    const [lampLine, shirtLine] = cart.data.items;
+    assert.equal(lampLine.unitPrice, 30);
+    assert.equal(lampLine.lineTotal, 60);
+    assert.equal(shirtLine.unitPrice, 25);
+    assert.deepEqual(cart.data.totals, { itemCount: 2, quantity: 3, subtotal: 105, discount: 20, total: 85 });
+  });
+
+  it('rejects more than the stock and products without a chosen variant', async () => {
+    const lamp = await createProduct({ stock: 2 });
+    const shirt = await createShirt();
+
+    const tooMany = await addAsGuest({ productId: lamp.id, quantity: 3 });
+    const noVariant = await addAsGuest({ productId: shirt.id, quantity: 1 });
+
+    assert.equal(tooMany.error.statusCode, 400);
+    assert.match(noVariant.error.message, /choose a product variant/);
+  });
+
+  it('leaves lines that became unavailable out of the totals', async () => {
+    const lamp = await createProduct({ price: 10 });
+    const desk = await createProduct({ price: 50 });
+
+    const { body } = await addAsGuest({ productId: lamp.id, quantity: 1 });
+    await addAsGuest({ productId: desk.id, quantity: 1 }, body.cartToken);
+    await desk.updateOne({ isActive: false });
+
+    const { body: cart } = await callHandler(getCart, { headers: { 'x-cart-token': body.cartToken } });
+
+    assert.equal(cart.data.items[1].available, false);
+    assert.equal(cart.data.totals.total, 10);
+  });
+});
+
+describe('merging a guest cart', () => {
+  beforeEach(clear);
+
+  const user = { _id: id() };
+
+  const merge = (cartToken) => callHandler(mergeCart, { user, headers: { 'x-cart-token': cartToken } });
+
+  it('adds the guest lines to the user cart and removes the guest cart', async () => {
+    const lamp = await createProduct({ stock: 10 });
+    const desk = await createProduct({ stock: 10 });
+    await Cart.create({ user: user._id, items: [{ product: lamp._id, quantity: 2 }] });
+    const { body } = await addAsGuest({ productId: lamp.id, quantity: 3 });
+    await addAsGuest({ productId: desk.id, quantity: 1 }, body.cartToken);
+
+    const { status, body: cart } = await merge(body.cartToken);
+
+    assert.equal(status, 200);
+    assert.deepEqual(cart.data.items.map(item => item.quantity), [5, 1]);
+    assert.equal(await Cart.countDocuments({ token: body.cartToken }), 0);
+  });
+
+  it('caps quantities at the stock and drops unavailable products', async () => {
+    const lamp = await createProduct({ stock: 4 });
+    const desk = await createProduct();
+    await Cart.create({ user: user._id, items: [{ product: lamp._id, quantity: 3 }] });
+    const { body } = await addAsGuest({ productId: lamp.id, quantity: 3 });
+    await addAsGuest({ productId: desk.id, quantity: 1 }, body.cartToken);
+    await desk.updateOne({ isActive: false });
+
+    const { body: cart } = await merge(body.cartToken);
+
+    assert.equal(cart.data.items.length, 1);
+    assert.equal(cart.data.items[0].quantity, 4);
+  });
+
+  it('keeps variants apart', async () => {
+    const shirt = await createShirt();
+    const [small, large] = shirt.variants;
+    await Cart.create({ user: user._id, items: [{ product: shirt._id, variant: small._id, quantity: 1 }] });
+    const { body } = await addAsGuest({ productId: shirt.id, variantId: large.id, quantity: 2 });
+
+    const { body: cart } = await merge(body.cartToken);
+
+    assert.deepEqual(
+      cart.data.items.map(item => [item.variant.sku, item.quantity]),
+      [['SHIRT-S', 1], ['SHIRT-L', 2]]
+    );
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect } = require('./helpers');
+const Category = require('../src/models/Category');
+
+const { MAX_DEPTH } = Category;
+
+// Create categories each nested under the previous one
+const createChain = async (...names) => {
+  const chain = [];
+  for (const name of names) {
+    const parent = chain[chain.length - 1];
+    chain.push(await Category.create({ name, parentCategory: parent ? parent._id : null }));
+  }
+  return chain;
+};
+
+const idsOf = (categories) => categories.map(category => category._id.toString());
+
+before(connect);
+after(disconnect);
+
+describe('moving categories', () => {
+  beforeEach(clear);
+
+  it('moves the whole subtree under the new parent', async () => {
+    const [clothing] = await createChain('Clothing');
+    const [shoes, running, trail] = await createChain('Shoes', 'Running', 'Trail');
+
+    const result = await Category.moveCategory(shoes, clothing._id);
+
+    assert.ok(result.category);
+    assert.deepEqual(result.category.ancestors.map(String), idsOf([clothing]));
+
+    const movedTrail = await Category.findById(trail._id);
+    assert.deepEqual(movedTrail.ancestors.map(String), idsOf([clothing, shoes, running]));
+    assert.equal(movedTrail.depth, 3);
+  });
+
+  it('moves a subtree back to the top level', async () => {
+    const [, shoes, running] = await createChain('Clothing', 'Shoes', 'Running');
+
+    await Category.moveCategory(shoes, null);
+
+    const movedRunning = await Category.findById(running._id);
+    assert.deepEqual(movedRunning.ancestors.map(String), idsOf([shoes]));
+    assert.equal(movedRunning.depth, 1);
+  });
+
+  it('refuses to move a category under itself or its subcategories', async () => {
+    const [shoes, running, trail] = await createChain('Shoes', 'Running', 'Trail');
+
+    assert.equal((await Category.moveCategory(shoes, shoes._id)).status, 400);
+    assert.equal((await Category.moveCategory(shoes, trail._id)).status, 400);
+
+    const unchanged = await Category.findById(running._id);
+    assert.deepEqual(unchanged.ancestors.map(String), idsOf([shoes]));
+  });
+
+  it('rejects a move that would push a subcategory past the maximum depth', async () => {
+    // The deepest category allowed has depth MAX_DEPTH - 1
+    const chain = await createChain(...Array.from({ length: MAX_DEPTH - 1 }, (_, i) => `Level ${i}`));
+    const deepest = chain[chain.length - 1];
+    const [parent, child] = await createChain('Parent', 'Child');
+
+    const result = await Category.moveCategory(parent, deepest._id);
+
+    assert.equal(result.status, 400);
+    assert.equal((await Category.findById(child._id)).depth, 1);
+  });
+
+  it('allows a move that fills the tree to the maximum depth', async () => {
+    const chain = await createChain(...Array.from({ length: MAX_DEPTH - 2 }, (_, i) => `Level ${i}`));
+    const deepest = chain[chain.length - 1];
+    const [parent, child] = await createChain('Parent', 'Child');
+
+    const result = await Category.moveCategory(parent, deepest._id);
+
+    assert.ok(result.category);
+    assert.equal((await Category.findById(child._id)).depth, MAX_DEPTH - 1);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, id, createProduct } = require('./helpers');
+const Category = require('../src/models/Category');
+const Coupon = require('../src/models/Coupon');
+const { priceItems } = require('../src/utils/pricing');
+
+let couponNumber = 0;
+
+const createCoupon = (fields) => Coupon.create({
+  code: `SAVE${++couponNumber}`,
+  type: 'percentage',
+  value: 10,
+  ...fields
+});
+
+// Price one of each product and apply the coupons
+const applyTo = async (products, coupons, userId = id()) => {
+  const { lines } = await priceItems(products.map(product => ({ productId: product.id, quantity: 1 })));
+  return Coupon.applyCoupons(coupons.map(coupon => coupon.code), lines, userId);
+};
+
+before(connect);
+after(disconnect);
+
+describe('applying coupons', () => {
+  beforeEach(clear);
+
+  it('applies a category coupon to products in its subcategories', async () => {
+    const shoes = await Category.create({ name: 'Shoes' });
+    const running = await Category.create({ name: 'Running', parentCategory: shoes._id });
+    const hats = await Category.create({ name: 'Hats' });
+    const trainer = await createProduct({ price: 50, category: running._id });
+    const cap = await createProduct({ price: 20, category: hats._id });
+    const coupon = await createCoupon({ categories: [shoes._id] });
+
+    const result = await applyTo([trainer, cap], [coupon]);
+
+    assert.deepEqual(result.lineDiscounts, [5, 0]);
+    assert.equal(result.discount, 5);
+  });
+
+  it('does not apply a subcategory coupon to its parent category', async () => {
+    const shoes = await Category.create({ name: 'Shoes' });
+    const running = await Category.create({ name: 'Running', parentCategory: shoes._id });
+    const sandal = await createProduct({ category: shoes._id });
+    const coupon = await createCoupon({ categories: [running._id] });
+
+    const result = await applyTo([sandal], [coupon]);
+
+    assert.match(result.error, /does not apply/);
+  });
+
+  it('matches brands without regard to case', async () => {
+    const kettle = await createProduct({ price: 40, brand: 'Brewmaster' });
+    const coupon = await createCoupon({ brands: ['BREWMASTER'], type: 'fixed', value: 15 });
+
+    const result = await applyTo([kettle], [coupon]);
+
+    assert.equal(result.discount, 15);
+  });
+
+  it('caps percentage discounts and checks the minimum spend', async () => {
+    const tv = await createProduct({ price: 500 });
+    const capped = await createCoupon({ value: 20, maxDiscount: 30 });
+    const bigSpend = await createCoupon({ minSpend: 1000 });
+
+    assert.equal((await applyTo([tv], [capped])).discount, 30);
+    assert.match((await applyTo([tv], [bigSpend])).error, /Spend at least 1000/);
+  });
+
+  it('only combines stackable coupons, each on what the last one left', async () => {
+    const lamp = await createProduct({ price: 100 });
+    const first = await createCoupon({ stackable: true });
+    const second = await createCoupon({ stackable: true, type: 'fixed', value: 5 });
+    const single = await createCoupon();
+
+    const stacked = await applyTo([lamp], [first, second]);
+    assert.equal(stacked.discount, 15);
+    assert.deepEqual(stacked.breakdown.map(item => item.discount), [10, 5]);
+
+    assert.match((await applyTo([lamp], [first, single])).error, /cannot be combined/);
+  });
+
+  it('skips sale items when the coupon excludes them', async () => {
+    const onSale = await createProduct({ price: 100, discount: { percentage: 20 } });
+    const fullPrice = await createProduct({ price: 100 });
+    const coupon = await createCoupon({ applyToSaleItems: false });
+
+    const result = await applyTo([onSale, fullPrice], [coupon]);
+
+    assert.deepEqual(result.lineDiscounts, [0, 10]);
+  });
+
+  it('rejects coupons outside their validity window', async () => {
+    const lamp = await createProduct();
+    const upcoming = await createCoupon({ startsAt: new Date(Date.now() + 60000) });
+    const expired = await createCoupon({ endsAt: new Date(Date.now() - 60000) });
+
+    assert.match((await applyTo([lamp], [upcoming])).error, /not active yet/);
+    assert.match((await applyTo([lamp], [expired])).error, /has expired/);
+  });
+});
+
+describe('redeeming coupons', () => {
+  beforeEach(clear);
+
+  it('never goes over the usage limit with concurrent orders', async () => {
+    const coupon = await createCoupon({ usageLimit: 2 });
+
+    const results = await Promise.all(Array.from({ length: 6 }, () =>
+      Coupon.redeem([coupon], id(), id())));
+
+    assert.equal(results.filter(result => result.success).length, 2);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 2);
+  });
+
+  it('limits uses per user and gives them back when an order is released', async () => {
+    const userId = id();
+    const orderId = id();
+    const coupon = await createCoupon({ usageLimitPerUser: 1 });
+
+    assert.equal((await Coupon.redeem([coupon], userId, orderId)).success, true);
+    assert.equal((await Coupon.redeem([coupon], userId, id())).success, false);
+    assert.equal((await Coupon.redeem([coupon], id(), id())).success, true);
+
+    await Coupon.release(orderId);
+
+    assert.equal((await Coupon.redeem([coupon], userId, id())).success, true);
+  });
+
+  it('redeems all of the coupons or none of them', async () => {
+    const open = await createCoupon({ stackable: true });
+    const usedUp = await createCoupon({ stackable: true, usageLimit: 1 });
+    await Coupon.redeem([usedUp], id(), id());
+
+    const result = await Coupon.redeem([open, usedUp], id(), id());
+
+    assert.equal(result.success, false);
+    assert.equal((await Coupon.findById(open._id)).usedCount, 0);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const errorHandler = require('../src/middleware/errorHandler');
+const { NotFoundError, RateLimitError, createError } = require('../src/utils/errors');
+const Product = require('../src/models/Product');
+
+// Run the error handler and capture the response
+const handle = (err) => {
+  const response = { headers: {} };
+  const req = { id: 'request-1', method: 'GET', originalUrl: '/api/test' };
+  const res = {
+    set(name, value) {
+      response.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(body) {
+      response.body = body;
+      return this;
+    }
+  };
+
+  errorHandler(err, req, res, () => {});
+  return response;
+};
+
+describe('error responses', () => {
+  it('reports our own errors with their status, code and request id', () => {
+    const { status, body } = handle(new NotFoundError('Product not found'));
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+    assert.equal(body.error, 'Product not found');
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.equal(body.requestId, 'request-1');
+  });
+
+  it('sends Retry-After for rate limits', () => {
+    const { status, headers, body } = handle(new RateLimitError('Slow down', { retryAfter: 30 }));
+
+    assert.equal(status, 429);
+    assert.equal(headers['Retry-After'], '30');
+    assert.equal(body.code, 'RATE_LIMITED');
+  });
+
+  it('keeps custom codes given to createError', () => {
+    const { status, body } = handle(createError(409, 'Taken', { code: 'SLUG_TAKEN' }));
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'SLUG_TAKEN');
+  });
+
+  it('lists the fields of a Mongoose validation error', () => {
+    const { status, body } = handle(new Product({ price: -1 }).validateSync());
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.ok(body.details.some(detail => detail.field === 'name'));
+    assert.ok(body.details.some(detail => detail.field === 'price'));
+  });
+
+  it('reports a value of the wrong type as invalid', () => {
+    const { status, body } = handle(new mongoose.Error.CastError('ObjectId', 'nope', '_id'));
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_VALUE');
+    assert.deepEqual(body.details, [{ field: '_id', message: 'Invalid value for _id' }]);
+  });
+
+  it('turns a duplicate key into a conflict naming the field', () => {
+    const { status, body } = handle({ code: 11000, keyValue: { email: 'shopper@example.com' } });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'DUPLICATE_KEY');
+    assert.equal(body.details[0].field, 'email');
+  });
+
+  it('maps upload errors to their own codes', () => {
+    const { status, body } = handle(new multer.MulterError('LIMIT_FILE_SIZE', 'images'));
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'FILE_TOO_LARGE');
+    assert.equal(body.details[0].field, 'images');
+  });
+
+  it('reports malformed JSON bodies', () => {
+    const parseError = Object.assign(new SyntaxError('Unexpected token'), {
+      expose: true,
+      status: 400,
+      type: 'entity.parse.failed'
+    });
+
+    const { status, body } = handle(parseError);
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_JSON');
+  });
+
+  it('reports anything else as an internal error', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    const { status, body } = handle(new Error('Something broke'));
+
+    assert.equal(status, 500);
+    assert.equal(body.code, 'INTERNAL_ERROR');
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
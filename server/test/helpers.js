@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Emails go to memory, never to files or SMTP
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let server;
+
+// Start an in-memory MongoDB. The first run downloads a MongoDB binary,
+// so it fails without network access.
+const startMemoryServer = async () => {
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+
+  try {
+    return await MongoMemoryServer.create();
+  } catch (error) {
+    throw new Error(`Could not start an in-memory MongoDB (${error.message}). ` +
+      'Set MONGODB_TEST_URI to run the tests against a MongoDB server instead, ' +
+      'e.g. MONGODB_TEST_URI=mongodb://localhost:27017 npm test');
+  }
+};
+
+// Connect to a throwaway database (named after the test process, and
+// dropped afterwards): on the server at MONGODB_TEST_URI when set,
+// otherwise on an in-memory MongoDB. Indexes are built before tests run,
+// as several behaviours depend on unique indexes.
+const connect = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+
+  if (!uri) {
+    server = await startMemoryServer();
+    uri = server.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `test-${process.pid}` });
+  await Promise.all(Object.values(mongoose.models).map(model => model.createIndexes()));
+};
+
+// Remove every document, keeping the collections and their indexes
+const clear = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections)
+    .map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+
+  if (server) {
+    await server.stop();
+  }
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Create a product with the required fields filled in
+const createProduct = (fields = {}) => mongoose.model('Product').create({
+  name: `Product ${id()}`,
+  description: 'A product used in tests',
+  price: 10,
+  stock: 10,
+  category: id(),
+  ...fields
+});
+
+// Run a controller handler with a fake request. Resolves with
+// { status, body } for a response or { error } when next(error) is called.
+const callHandler = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  const next = (error) => resolve({ error });
+
+  Promise.resolve(handler({ body: {}, params: {}, query: {}, headers: {}, ...req }, res, next))
+    .catch(reject);
+});
+
+module.exports = {
+  connect,
+  clear,
+  disconnect,
+  id,
+  createProduct,
+  callHandler
+};
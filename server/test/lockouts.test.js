@@ -0,0 +1,102 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect } = require('./helpers');
+const Lockout = require('../src/models/Lockout');
+
+const SCOPE = 'login:account';
+const { limit, lockout } = Lockout.RULES[SCOPE];
+const EMAIL = 'shopper@example.com';
+
+// Record a number of failed attempts one after another
+const fail = async (times, identifier = EMAIL) => {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await Lockout.recordAttempt(SCOPE, identifier));
+  }
+  return results;
+};
+
+// Let the current lockout run out
+const expireLock = () => Lockout.updateOne(
+  { scope: SCOPE, identifier: EMAIL },
+  { lockedUntil: new Date(Date.now() - 1000) }
+);
+
+// Length of the current lockout in milliseconds (roughly)
+const lockLength = async () => {
+  const until = await Lockout.findActiveLock([[SCOPE, EMAIL]]);
+  return until.getTime() - Date.now();
+};
+
+const assertAbout = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 60 * 1000, `expected about ${expected}ms, got ${actual}ms`);
+
+before(connect);
+after(disconnect);
+
+describe('lockouts', () => {
+  beforeEach(clear);
+
+  it('locks an identifier when it reaches the attempt limit', async () => {
+    const results = await fail(limit);
+
+    assert.ok(results.slice(0, -1).every(result => result === null));
+    assert.ok(results[results.length - 1] instanceof Date);
+    assertAbout(await lockLength(), lockout);
+  });
+
+  it('does not lock other identifiers or scopes', async () => {
+    await fail(limit);
+
+    assert.equal(await Lockout.findActiveLock([[SCOPE, 'other@example.com']]), null);
+    assert.equal(await Lockout.findActiveLock([['login:ip', EMAIL]]), null);
+  });
+
+  it('doubles the lockout each time the identifier is locked again', async () => {
+    await fail(limit);
+    assertAbout(await lockLength(), lockout);
+
+    await expireLock();
+    await fail(limit);
+    assertAbout(await lockLength(), lockout * 2);
+
+    await expireLock();
+    await fail(limit);
+    assertAbout(await lockLength(), lockout * 4);
+  });
+
+  it('counts every one of several concurrent first attempts', async () => {
+    const results = await Promise.all(Array.from({ length: limit - 1 }, () =>
+      Lockout.recordAttempt(SCOPE, EMAIL)));
+
+    const counters = await Lockout.find({ scope: SCOPE, identifier: EMAIL });
+    assert.ok(results.every(result => result === null));
+    assert.equal(counters.length, 1);
+    assert.equal(counters[0].count, limit - 1);
+  });
+
+  it('locks once when concurrent attempts pass the limit together', async () => {
+    const results = await Promise.all(Array.from({ length: limit * 3 }, () =>
+      Lockout.recordAttempt(SCOPE, EMAIL)));
+
+    const counter = await Lockout.findOne({ scope: SCOPE, identifier: EMAIL });
+    assert.equal(results.filter(result => result instanceof Date).length, 1);
+    assert.equal(counter.lockouts, 1);
+    assertAbout(await lockLength(), lockout);
+  });
+
+  it('starts counting again after a success but remembers past lockouts', async () => {
+    await fail(limit - 1);
+    await Lockout.clearAttempts(SCOPE, EMAIL);
+
+    const afterClear = await fail(limit - 1);
+    assert.ok(afterClear.every(result => result === null));
+
+    await fail(1);
+    await expireLock();
+    await Lockout.clearAttempts(SCOPE, EMAIL);
+
+    await fail(limit);
+    assertAbout(await lockLength(), lockout * 2);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, id, createProduct, callHandler } = require('./helpers');
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const { createOrder, cancelOrder } = require('../src/controllers/orderController');
+
+const stockOf = async (product) => (await Product.findById(product._id)).stock;
+
+before(connect);
+after(disconnect);
+
+describe('stock reservation', () => {
+  beforeEach(clear);
+
+  it('takes the stock for every line', async () => {
+    const lamp = await createProduct({ stock: 5 });
+    const desk = await createProduct({ stock: 3 });
+
+    const result = await Product.reserveStock([
+      { product: lamp._id, quantity: 2 },
+      { product: desk._id, quantity: 3 }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(await stockOf(lamp), 3);
+    assert.equal(await stockOf(desk), 0);
+  });
+
+  it('puts back earlier lines when a later line is short', async () => {
+    const lamp = await createProduct({ stock: 5 });
+    const desk = await createProduct({ stock: 3 });
+
+    const result = await Product.reserveStock([
+      { product: lamp._id, quantity: 2 },
+      { product: desk._id, quantity: 4 }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.ok(result.failed.product.equals(desk._id));
+    assert.equal(await stockOf(lamp), 5);
+    assert.equal(await stockOf(desk), 3);
+  });
+
+  it('never sells more than the stock to concurrent orders', async () => {
+    const lamp = await createProduct({ stock: 5 });
+
+    const results = await Promise.all(Array.from({ length: 12 }, () =>
+      Product.reserveStock([{ product: lamp._id, quantity: 1 }])));
+
+    assert.equal(results.filter(result => result.success).length, 5);
+    assert.equal(await stockOf(lamp), 0);
+  });
+
+  it('does not reserve inactive products', async () => {
+    const lamp = await createProduct({ stock: 5, isActive: false });
+
+    const result = await Product.reserveStock([{ product: lamp._id, quantity: 1 }]);
+
+    assert.equal(result.success, false);
+    assert.equal(await stockOf(lamp), 5);
+  });
+
+  it('takes variant stock from the variant and the product total', async () => {
+    const shirt = await createProduct({
+      options: [{ name: 'size', values: ['S', 'M'] }],
+      variants: [
+        { sku: 'SHIRT-S', options: { size: 'S' }, stock: 2 },
+        { sku: 'SHIRT-M', options: { size: 'M' }, stock: 4 }
+      ]
+    });
+    const small = shirt.variants[0];
+
+    assert.equal(shirt.stock, 6);
+
+    const first = await Product.reserveStock([{ product: shirt._id, variant: small._id, quantity: 2 }]);
+    const second = await Product.reserveStock([{ product: shirt._id, variant: small._id, quantity: 1 }]);
+
+    const updated = await Product.findById(shirt._id);
+    assert.equal(first.success, true);
+    assert.equal(second.success, false);
+    assert.equal(updated.variants.id(small._id).stock, 0);
+    assert.equal(updated.stock, 4);
+
+    await Product.releaseStock([{ product: shirt._id, variant: small._id, quantity: 2 }]);
+
+    const released = await Product.findById(shirt._id);
+    assert.equal(released.variants.id(small._id).stock, 2);
+    assert.equal(released.stock, 6);
+  });
+});
+
+describe('placing and cancelling orders', () => {
+  beforeEach(clear);
+
+  const user = { _id: id(), address: { city: 'Leeds' } };
+  user.id = user._id.toString();
+
+  const placeOrder = (items) => callHandler(createOrder, { user, body: { items } });
+
+  it('leaves stock untouched when one line cannot be filled', async () => {
+    const lamp = await createProduct({ stock: 5 });
+    const desk = await createProduct({ stock: 1 });
+
+    const { error } = await placeOrder([
+      { productId: lamp.id, quantity: 2 },
+      { productId: desk.id, quantity: 2 }
+    ]);
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(await stockOf(lamp), 5);
+    assert.equal(await stockOf(desk), 1);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+
+  it('only accepts as many concurrent orders as there is stock', async () => {
+    const lamp = await createProduct({ stock: 3 });
+
+    const results = await Promise.all(Array.from({ length: 8 }, () =>
+      placeOrder([{ productId: lamp.id, quantity: 1 }])));
+
+    assert.equal(results.filter(result => result.status === 201).length, 3);
+    assert.equal(await Order.countDocuments(), 3);
+    assert.equal(await stockOf(lamp), 0);
+  });
+
+  it('puts the stock back once when an order is cancelled', async () => {
+    const lamp = await createProduct({ stock: 5 });
+
+    const placed = await placeOrder([{ productId: lamp.id, quantity: 2 }]);
+    assert.equal(placed.status, 201);
+    assert.equal(await stockOf(lamp), 3);
+
+    const params = { id: placed.body.data._id.toString() };
+    const [first, second] = await Promise.all([
+      callHandler(cancelOrder, { user, params }),
+      callHandler(cancelOrder, { user, params })
+    ]);
+
+    assert.equal([first, second].filter(result => result.status === 200).length, 1);
+    assert.equal(await stockOf(lamp), 5);
+  });
+});
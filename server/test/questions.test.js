@@ -0,0 +1,134 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, id, createProduct, callHandler } = require('./helpers');
+const Question = require('../src/models/Question');
+const Answer = require('../src/models/Answer');
+// Loaded by the routes in the app; listings populate from it
+require('../src/models/User');
+const {
+  getProductQuestions,
+  askQuestion,
+  deleteQuestion,
+  answerQuestion,
+  deleteAnswer,
+  voteAnswerHelpful,
+  reportAnswer
+} = require('../src/controllers/questionController');
+
+const createUser = (role = 'user') => {
+  const user = { _id: id(), role };
+  user.id = user._id.toString();
+  return user;
+};
+
+const ask = async (user, product, text = 'Does this come with a plug?') =>
+  (await callHandler(askQuestion, { user, params: { productId: product.id }, body: { text } })).body.data;
+
+const answer = async (user, question, text = 'Yes, a UK plug', isOfficial) => {
+  const result = await callHandler(answerQuestion, {
+    user,
+    params: { id: question._id.toString() },
+    body: { text, isOfficial }
+  });
+  return result.body ? result.body.data : result;
+};
+
+const answerCountOf = async (question) => (await Question.findById(question._id)).answerCount;
+
+before(connect);
+after(disconnect);
+
+describe('product questions and answers', () => {
+  beforeEach(clear);
+
+  const shopper = createUser();
+  const other = createUser();
+  const staff = createUser('admin');
+
+  it('lists questions with official answers first, then the most helpful', async () => {
+    const product = await createProduct();
+    const question = await ask(shopper, product);
+    const plain = await answer(other, question, 'I think so');
+    const helpful = await answer(shopper, question, 'Yes, it has one');
+    await answer(staff, question, 'Every unit ships with a plug', true);
+    await callHandler(voteAnswerHelpful, { user: other, params: { id: helpful._id.toString() } });
+
+    const { body } = await callHandler(getProductQuestions, { params: { productId: product.id } });
+
+    assert.equal(body.total, 1);
+    assert.equal(body.data[0].answerCount, 3);
+    assert.deepEqual(body.data[0].answers.map(item => item.text), [
+      'Every unit ships with a plug',
+      'Yes, it has one',
+      plain.text
+    ]);
+  });
+
+  it('only lets staff answer officially', async () => {
+    const question = await ask(shopper, await createProduct());
+
+    const { error } = await answer(other, question, 'Official, honest', true);
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(await Answer.countDocuments(), 0);
+  });
+
+  it('filters answered and unanswered questions', async () => {
+    const product = await createProduct();
+    const answered = await ask(shopper, product, 'Is it waterproof at all?');
+    await ask(shopper, product, 'What colours does it come in?');
+    await answer(other, answered);
+
+    const list = async (answeredFilter) => (await callHandler(getProductQuestions, {
+      params: { productId: product.id },
+      query: { answered: answeredFilter }
+    })).body.data.map(question => question.text);
+
+    assert.deepEqual(await list('true'), ['Is it waterproof at all?']);
+    assert.deepEqual(await list('false'), ['What colours does it come in?']);
+  });
+
+  it('counts one helpful vote per user and none for your own answer', async () => {
+    const question = await ask(shopper, await createProduct());
+    const reply = await answer(other, question);
+    const params = { id: reply._id.toString() };
+
+    const first = await callHandler(voteAnswerHelpful, { user: shopper, params });
+    const again = await callHandler(voteAnswerHelpful, { user: shopper, params });
+    const own = await callHandler(voteAnswerHelpful, { user: other, params });
+
+    assert.equal(first.body.data.helpfulVotes, 1);
+    assert.equal(again.error.code, 'ALREADY_VOTED');
+    assert.equal(own.error.statusCode, 400);
+  });
+
+  it('hides an answer reported by enough users and stops counting it', async () => {
+    const question = await ask(shopper, await createProduct());
+    const reply = await answer(other, question);
+    const params = { id: reply._id.toString() };
+
+    for (let i = 0; i < 3; i++) {
+      const result = await callHandler(reportAnswer, { user: createUser(), params, body: { reason: 'spam' } });
+      assert.equal(result.status, 200);
+    }
+
+    assert.equal((await Answer.findById(reply._id)).status, 'hidden');
+    assert.equal(await answerCountOf(question), 0);
+  });
+
+  it('keeps the answer count right when answers and questions are deleted', async () => {
+    const question = await ask(shopper, await createProduct());
+    const reply = await answer(other, question);
+    await answer(staff, question);
+
+    await callHandler(deleteAnswer, { user: other, params: { id: reply._id.toString() } });
+    assert.equal(await answerCountOf(question), 1);
+
+    const notOwner = await callHandler(deleteQuestion, { user: other, params: { id: question._id.toString() } });
+    assert.equal(notOwner.error.statusCode, 403);
+
+    await callHandler(deleteQuestion, { user: shopper, params: { id: question._id.toString() } });
+    assert.equal(await Question.countDocuments(), 0);
+    assert.equal(await Answer.countDocuments(), 0);
+  });
+});
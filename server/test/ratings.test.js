@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, id, createProduct } = require('./helpers');
+const Product = require('../src/models/Product');
+const Review = require('../src/models/Review');
+const { bayesianScore } = require('../src/utils/rating');
+
+const addReview = (product, rating, fields = {}) => Review.create({
+  product: product._id,
+  user: id(),
+  rating,
+  comment: 'Does what it says on the box',
+  ...fields
+});
+
+// Check the stored rating fields of a product
+const assertRating = async (product, average, count) => {
+  const stored = await Product.findById(product._id);
+
+  assert.equal(stored.numReviews, count);
+  assert.ok(Math.abs(stored.rating - average) < 1e-9, `expected rating ${average}, got ${stored.rating}`);
+  assert.ok(Math.abs(stored.ratingScore - bayesianScore(average, count)) < 1e-9);
+};
+
+before(connect);
+after(disconnect);
+
+describe('product rating aggregates', () => {
+  beforeEach(clear);
+
+  it('updates when reviews are added', async () => {
+    const product = await createProduct();
+
+    await addReview(product, 5);
+    await assertRating(product, 5, 1);
+
+    await addReview(product, 2);
+    await assertRating(product, 3.5, 2);
+  });
+
+  it('updates when a review is edited and saved', async () => {
+    const product = await createProduct();
+    const review = await addReview(product, 5);
+    await addReview(product, 3);
+
+    review.rating = 1;
+    await review.save();
+
+    await assertRating(product, 2, 2);
+  });
+
+  it('updates when a review is deleted either way', async () => {
+    const product = await createProduct();
+    const first = await addReview(product, 5);
+    const second = await addReview(product, 3);
+    await addReview(product, 1);
+
+    await first.deleteOne();
+    await assertRating(product, 2, 2);
+
+    await Review.findByIdAndDelete(second._id);
+    await assertRating(product, 1, 1);
+  });
+
+  it('goes back to no rating when the last review is removed', async () => {
+    const product = await createProduct();
+    const review = await addReview(product, 4);
+
+    await review.deleteOne();
+
+    await assertRating(product, 0, 0);
+  });
+
+  it('only counts published reviews', async () => {
+    const product = await createProduct();
+    const review = await addReview(product, 1);
+    await addReview(product, 5);
+    await addReview(product, 3, { status: 'pending' });
+
+    await assertRating(product, 3, 2);
+
+    await Review.findByIdAndUpdate(review._id, { status: 'hidden' });
+    await assertRating(product, 5, 1);
+
+    await Review.findByIdAndUpdate(review._id, { $set: { status: 'published' } });
+    await assertRating(product, 3, 2);
+  });
+
+  it('drops a review hidden automatically after reports', async () => {
+    const product = await createProduct();
+    const review = await addReview(product, 1);
+    await addReview(product, 5);
+
+    let reported;
+    for (let i = 0; i < 3; i++) {
+      reported = await Review.report(review._id, id(), { reason: 'spam' });
+    }
+
+    assert.equal(reported.status, 'hidden');
+    await assertRating(product, 5, 1);
+  });
+
+  it('ranks many good reviews above a single perfect one', async () => {
+    const single = await createProduct();
+    const popular = await createProduct();
+
+    await addReview(single, 5);
+    for (let i = 0; i < 20; i++) {
+      await addReview(popular, i < 16 ? 5 : 4);
+    }
+
+    const [first] = await Product.find({ _id: { $in: [single._id, popular._id] } })
+      .sort({ ratingScore: -1 });
+
+    assert.ok(first._id.equals(popular._id));
+  });
+
+  it('backfills products saved without a rating score', async () => {
+    const product = await createProduct();
+    await addReview(product, 4);
+    await Product.collection.updateOne({ _id: product._id }, { $unset: { ratingScore: 1, rating: 1 } });
+
+    const updated = await Review.backfillRatingScores();
+
+    assert.ok(updated > 0);
+    await assertRating(product, 4, 1);
+    assert.equal(await Review.backfillRatingScores(), 0);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, id } = require('./helpers');
+const RefreshToken = require('../src/models/RefreshToken');
+
+before(connect);
+after(disconnect);
+
+describe('refresh token rotation', () => {
+  beforeEach(clear);
+
+  it('exchanges a token for a new one in the same session', async () => {
+    const userId = id();
+    const issued = await RefreshToken.issue(userId);
+
+    const rotated = await RefreshToken.rotate(issued.token);
+
+    assert.ok(rotated.token);
+    assert.notEqual(rotated.token, issued.token);
+    assert.equal(rotated.family, issued.family);
+    assert.ok(rotated.user.equals(userId));
+    assert.equal(await RefreshToken.isSessionActive(issued.family), true);
+  });
+
+  it('revokes the whole session when a used token is presented again', async () => {
+    const issued = await RefreshToken.issue(id());
+    const rotated = await RefreshToken.rotate(issued.token);
+
+    const reused = await RefreshToken.rotate(issued.token);
+
+    assert.equal(reused.reused, true);
+    assert.equal(await RefreshToken.isSessionActive(issued.family), false);
+
+    // The token handed out by the legitimate refresh is revoked too
+    const next = await RefreshToken.rotate(rotated.token);
+    assert.ok(next.error);
+    assert.equal(next.reused, undefined);
+  });
+
+  it('revokes the session when the same token is refreshed twice at once', async () => {
+    const issued = await RefreshToken.issue(id());
+
+    const results = await Promise.all([
+      RefreshToken.rotate(issued.token),
+      RefreshToken.rotate(issued.token)
+    ]);
+
+    // The reuse revokes the session, including whichever new token was issued
+    assert.ok(results.some(result => result.reused));
+    assert.ok(results.filter(result => result.token).length <= 1);
+    assert.equal(await RefreshToken.isSessionActive(issued.family), false);
+  });
+
+  it('rejects unknown, expired and logged out tokens without revoking anything', async () => {
+    const active = await RefreshToken.issue(id());
+    const expired = await RefreshToken.issue(id());
+    const loggedOut = await RefreshToken.issue(id());
+
+    await RefreshToken.updateOne({ family: expired.family }, { expiresAt: new Date(Date.now() - 1000) });
+    await RefreshToken.revokeFamily(loggedOut.family);
+
+    for (const token of ['not-a-token', expired.token, loggedOut.token]) {
+      const result = await RefreshToken.rotate(token);
+      assert.ok(result.error);
+      assert.equal(result.reused, undefined);
+    }
+
+    assert.equal(await RefreshToken.isSessionActive(active.family), true);
+  });
+
+  it('logs out every session of a user', async () => {
+    const userId = id();
+    const phone = await RefreshToken.issue(userId);
+    const laptop = await RefreshToken.issue(userId);
+    const otherUser = await RefreshToken.issue(id());
+
+    await RefreshToken.revokeAllForUser(userId);
+
+    assert.equal(await RefreshToken.isSessionActive(phone.family), false);
+    assert.equal(await RefreshToken.isSessionActive(laptop.family), false);
+    assert.equal(await RefreshToken.isSessionActive(otherUser.family), true);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, createProduct, callHandler } = require('./helpers');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const Synonym = require('../src/models/Synonym');
+const { getProducts, getSuggestions } = require('../src/controllers/productController');
+const { clearSearchCache, stem, editDistance } = require('../src/utils/search');
+
+const search = (query) => callHandler(getProducts, { query });
+
+const namesOf = (products) => products.map(product => product.name);
+
+before(connect);
+after(disconnect);
+
+describe('product search', () => {
+  beforeEach(async () => {
+    await clear();
+    clearSearchCache();
+  });
+
+  it('ranks name matches above brand and description matches', async () => {
+    await createProduct({ name: 'Desk organiser', description: 'Keeps a lamp cable tidy' });
+    await createProduct({ name: 'Reading light', brand: 'Lamp Co' });
+    await createProduct({ name: 'Lamp', description: 'A bedside lamp' });
+
+    const { body } = await search({ search: 'lamp' });
+
+    assert.deepEqual(namesOf(body.data), ['Lamp', 'Reading light', 'Desk organiser']);
+  });
+
+  it('replaces the old unweighted text index', async () => {
+    await createProduct({ name: 'Lamp' });
+    await Product.collection.dropIndex('product_text_search');
+    await Product.collection.createIndex({ name: 'text', description: 'text', brand: 'text' });
+
+    assert.equal(await Product.replaceTextIndex(), true);
+
+    const names = (await Product.collection.indexes()).map(index => index.name);
+    assert.ok(names.includes('product_text_search'));
+    assert.ok(!names.includes('name_text_description_text_brand_text'));
+    assert.equal(await Product.replaceTextIndex(), false);
+  });
+});
+
+describe('typo-tolerant search', () => {
+  beforeEach(async () => {
+    await clear();
+    clearSearchCache();
+  });
+
+  it('corrects misspelt words against the catalog', async () => {
+    await createProduct({ name: 'Gaming laptop' });
+    await createProduct({ name: 'Desk lamp' });
+
+    const { body } = await search({ search: 'lpatop' });
+
+    assert.deepEqual(namesOf(body.data), ['Gaming laptop']);
+    assert.deepEqual(body.search.corrections, { lpatop: 'laptop' });
+  });
+
+  it('finds products by synonym', async () => {
+    await createProduct({ name: 'Running trainers' });
+    await Synonym.create({ terms: ['sneakers', 'trainers'] });
+
+    const { body } = await search({ search: 'sneakers' });
+
+    assert.deepEqual(namesOf(body.data), ['Running trainers']);
+  });
+
+  it('matches plurals and hyphenated words typed without the hyphen', async () => {
+    await createProduct({ name: 'Lamp' });
+    await createProduct({ name: 'Plain T-shirt' });
+
+    assert.deepEqual(namesOf((await search({ search: 'lamps' })).body.data), ['Lamp']);
+    assert.deepEqual(namesOf((await search({ search: 'tshirt' })).body.data), ['Plain T-shirt']);
+  });
+
+  it('suggests a spelling when nothing is found', async () => {
+    await createProduct({ name: 'Desk lamp' });
+
+    const { body } = await search({ search: 'lmap' });
+
+    assert.equal(body.count, 0);
+    assert.equal(body.search.didYouMean, 'lamp');
+  });
+
+  it('stems words and measures edit distance', () => {
+    assert.equal(stem('batteries'), 'battery');
+    assert.equal(stem('boxes'), 'box');
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('laptop', 'tablet', 1), 2);
+  });
+});
+
+describe('search suggestions', () => {
+  beforeEach(clear);
+
+  it('suggests products, brands and categories by word prefix', async () => {
+    await createProduct({ name: 'Gaming laptop', brand: 'Lapco' });
+    await createProduct({ name: 'Laptop stand' });
+    await createProduct({ name: 'Overlap rug' });
+    await createProduct({ name: 'Hidden laptop', isActive: false });
+    await Category.create({ name: 'Laptops' });
+
+    const { status, body } = await callHandler(getSuggestions, { query: { q: 'lap' } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(namesOf(body.data.products).sort(), ['Gaming laptop', 'Laptop stand']);
+    assert.deepEqual(body.data.brands, ['Lapco']);
+    assert.deepEqual(namesOf(body.data.categories), ['Laptops']);
+  });
+
+  it('limits each list', async () => {
+    for (let i = 0; i < 4; i++) {
+      await createProduct({ name: `Lamp ${i}` });
+    }
+
+    const { body } = await callHandler(getSuggestions, { query: { q: 'lamp', limit: '2' } });
+
+    assert.equal(body.data.products.length, 2);
+  });
+
+  it('needs a prefix', async () => {
+    const { error } = await callHandler(getSuggestions, { query: { q: '  ' } });
+
+    assert.equal(error.statusCode, 400);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, createProduct, callHandler } = require('./helpers');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+// Loaded by the routes in the app; the product page populates from them
+require('../src/models/Review');
+require('../src/models/Question');
+const { getProductBySlug } = require('../src/controllers/productController');
+const { getCategoryBySlug } = require('../src/controllers/categoryController');
+
+const rename = async (doc, name) => {
+  doc.name = name;
+  await doc.save();
+  return doc;
+};
+
+const historyOf = async (doc) =>
+  (await doc.constructor.findById(doc._id).select('+slugHistory')).slugHistory;
+
+before(connect);
+after(disconnect);
+
+describe('slugs', () => {
+  beforeEach(clear);
+
+  it('gives each product a unique slug from its name', async () => {
+    const first = await createProduct({ name: "Men's T-Shirt" });
+    const second = await createProduct({ name: "Men's T-Shirt" });
+
+    assert.equal(first.slug, 'men-s-t-shirt');
+    assert.equal(second.slug, 'men-s-t-shirt-2');
+  });
+
+  it('keeps the old slug when a product is renamed', async () => {
+    const lamp = await rename(await createProduct({ name: 'Desk lamp' }), 'Reading lamp');
+
+    assert.equal(lamp.slug, 'reading-lamp');
+    assert.deepEqual(await historyOf(lamp), ['desk-lamp']);
+  });
+
+  it('does not hand an old slug to another product', async () => {
+    await rename(await createProduct({ name: 'Desk lamp' }), 'Reading lamp');
+
+    const newLamp = await createProduct({ name: 'Desk lamp' });
+
+    assert.equal(newLamp.slug, 'desk-lamp-2');
+  });
+
+  it('takes an old slug back out of the history when it is used again', async () => {
+    const lamp = await createProduct({ name: 'Desk lamp' });
+    await rename(lamp, 'Reading lamp');
+    await rename(lamp, 'Desk lamp');
+
+    assert.equal(lamp.slug, 'desk-lamp');
+    assert.deepEqual(await historyOf(lamp), ['reading-lamp']);
+  });
+
+  it('gives products saved without a slug one', async () => {
+    const lamp = await createProduct({ name: 'Desk lamp' });
+    await Product.collection.updateOne({ _id: lamp._id }, { $unset: { slug: 1 } });
+
+    assert.equal(await Product.backfillSlugs(), 1);
+    assert.equal((await Product.findById(lamp._id)).slug, 'desk-lamp');
+  });
+});
+
+describe('slug routes', () => {
+  beforeEach(clear);
+
+  it('finds a product by its current slug', async () => {
+    await createProduct({ name: 'Desk lamp' });
+
+    const { status, body } = await callHandler(getProductBySlug, { params: { slug: 'desk-lamp' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.name, 'Desk lamp');
+    assert.equal(body.moved, undefined);
+  });
+
+  it('tells the client where a product moved to', async () => {
+    await rename(await createProduct({ name: 'Desk lamp' }), 'Reading lamp');
+
+    const { body } = await callHandler(getProductBySlug, { params: { slug: 'desk-lamp' } });
+
+    assert.equal(body.moved, true);
+    assert.equal(body.slug, 'reading-lamp');
+  });
+
+  it('resolves old category slugs but not inactive categories', async () => {
+    const shoes = await rename(await Category.create({ name: 'Shoes' }), 'Footwear');
+    await Category.create({ name: 'Hats', isActive: false });
+
+    const moved = await callHandler(getCategoryBySlug, { params: { slug: 'shoes' } });
+    const inactive = await callHandler(getCategoryBySlug, { params: { slug: 'hats' } });
+    const unknown = await callHandler(getProductBySlug, { params: { slug: 'nothing-here' } });
+
+    assert.equal(moved.body.moved, true);
+    assert.equal(moved.body.slug, shoes.slug);
+    assert.equal(inactive.error.statusCode, 404);
+    assert.equal(unknown.error.statusCode, 404);
+  });
+});
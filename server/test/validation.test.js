@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { id } = require('./helpers');
+const { validate, productSchemas, cartSchemas, reviewSchemas } = require('../src/middleware/validation');
+
+// Run the validation middleware on a fake request. Returns the request as
+// the handler would see it, or the error passed to next().
+const check = (schemas, req) => {
+  const request = { params: {}, query: {}, body: {}, ...req };
+  let result;
+
+  validate(schemas)(request, {}, (error) => {
+    result = error || request;
+  });
+
+  return result;
+};
+
+describe('request validation', () => {
+  it('converts values and drops unknown fields', () => {
+    const productId = id().toString();
+
+    const req = check(cartSchemas.addItem, {
+      body: { productId, quantity: '3', isAdmin: true }
+    });
+
+    assert.deepEqual(req.body, { productId, quantity: 3 });
+  });
+
+  it('reports every invalid field with where it was found', () => {
+    const error = check(cartSchemas.addItem, { body: { productId: 'nope', quantity: 0 } });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    assert.deepEqual(error.details.map(detail => [detail.location, detail.field]), [
+      ['body', 'productId'],
+      ['body', 'quantity']
+    ]);
+    assert.match(error.details[0].message, /must be a valid id/);
+  });
+
+  it('checks params, query and body together', () => {
+    const error = check(reviewSchemas.update, {
+      params: { id: 'nope' },
+      body: { rating: 9 }
+    });
+
+    assert.deepEqual(error.details.map(detail => detail.location).sort(), ['body', 'params']);
+  });
+
+  it('replaces the query with the validated values', () => {
+    const req = check(productSchemas.list, {
+      query: { page: '2', price: { gte: '10', lt: '100' }, 'variant.size': 'M', unknown: 'x' }
+    });
+
+    assert.deepEqual(req.query, { page: 2, price: { gte: 10, lt: 100 }, 'variant.size': 'M' });
+  });
+
+  it('never lets query operators through', () => {
+    const operator = check(productSchemas.list, { query: { $where: 'sleep(1000)' } });
+    const nested = check(productSchemas.list, { query: { price: { $ne: 1 } } });
+
+    assert.equal(operator.statusCode, 400);
+    assert.equal(nested.statusCode, 400);
+  });
+
+  it('only accepts true or false for boolean query flags', () => {
+    assert.equal(check(productSchemas.list, { query: { inStock: 'true' } }).query.inStock, 'true');
+    assert.equal(check(productSchemas.list, { query: { inStock: 'yes' } }).statusCode, 400);
+  });
+});
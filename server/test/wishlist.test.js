@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connect, clear, disconnect, createProduct, callHandler } = require('./helpers');
+const User = require('../src/models/User');
+const {
+  getWishlist,
+  getCartReadyItems,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist
+} = require('../src/controllers/wishlistController');
+
+const createUser = (fields = {}) => User.create({
+  name: 'Shopper',
+  email: 'shopper@example.com',
+  password: 'secret123',
+  ...fields
+});
+
+// A product priced per size
+const createShirt = () => createProduct({
+  price: 20,
+  options: [{ name: 'size', values: ['S', 'L'] }],
+  variants: [
+    { sku: 'SHIRT-S', options: { size: 'S' }, stock: 2 },
+    { sku: 'SHIRT-L', options: { size: 'L' }, price: 25, stock: 2 }
+  ]
+});
+
+const share = (user) => callHandler(shareWishlist, { user: { id: user.id } });
+
+before(connect);
+after(disconnect);
+
+describe('wishlist sharing', () => {
+  beforeEach(clear);
+
+  it('returns the new token the first time a wishlist is shared', async () => {
+    const user = await createUser();
+
+    const { status, body } = await share(user);
+
+    const stored = await User.findById(user._id).select('+wishlistShareToken');
+    assert.equal(status, 200);
+    assert.match(body.data.token, /^[0-9a-f]{32}$/);
+    assert.equal(body.data.token, stored.wishlistShareToken);
+    assert.ok(body.data.shareUrl.endsWith(`/api/wishlist/shared/${body.data.token}`));
+  });
+
+  it('builds the link from APP_URL, not the request host', async () => {
+    const user = await createUser();
+    process.env.APP_URL = 'https://api.shop.test/';
+
+    try {
+      const { body } = await callHandler(shareWishlist, {
+        user: { id: user.id },
+        headers: { host: 'attacker.test' }
+      });
+
+      assert.equal(body.data.shareUrl, `https://api.shop.test/api/wishlist/shared/${body.data.token}`);
+    } finally {
+      delete process.env.APP_URL;
+    }
+  });
+
+  it('keeps the same link when shared again', async () => {
+    const user = await createUser();
+
+    const first = await share(user);
+    const second = await share(user);
+
+    assert.equal(second.body.data.token, first.body.data.token);
+  });
+
+  it('stops serving the shared wishlist once unshared', async () => {
+    const user = await createUser();
+    const { body } = await share(user);
+    const params = { token: body.data.token };
+
+    const shared = await callHandler(getSharedWishlist, { params });
+    assert.equal(shared.status, 200);
+    assert.equal(shared.body.data.owner, 'Shopper');
+
+    await callHandler(unshareWishlist, { user: { id: user.id } });
+
+    const { error } = await callHandler(getSharedWishlist, { params });
+    assert.equal(error.statusCode, 404);
+  });
+});
+
+describe('wishlist items', () => {
+  beforeEach(clear);
+
+  it('shows the variant price range', async () => {
+    const shirt = await createShirt();
+    const lamp = await createProduct({ price: 12 });
+    const user = await createUser({ wishlist: [shirt._id, lamp._id] });
+
+    const { body } = await callHandler(getWishlist, { user: { id: user.id } });
+    const [shirtItem, lampItem] = body.data;
+
+    assert.deepEqual(shirtItem.product.priceRange, { min: 20, max: 25 });
+    assert.equal(shirtItem.product.hasVariants, true);
+    assert.equal(lampItem.product.priceRange, undefined);
+    assert.equal(lampItem.product.hasVariants, false);
+  });
+
+  it('leaves products that need a variant out of the cart-ready items', async () => {
+    const shirt = await createShirt();
+    const lamp = await createProduct();
+    const soldOut = await createProduct({ stock: 0 });
+    const user = await createUser({ wishlist: [shirt._id, lamp._id, soldOut._id] });
+
+    const { body } = await callHandler(getCartReadyItems, { user: { id: user.id } });
+
+    assert.deepEqual(body.data.map(item => [String(item.productId), item.quantity]), [[lamp.id, 1]]);
+    assert.deepEqual(body.needsVariant.map(String), [shirt.id]);
+    assert.deepEqual(body.unavailable.map(String), [soldOut.id]);
+  });
+});